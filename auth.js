@@ -0,0 +1,208 @@
+// Authentication: log in before extraction, verify it worked and persist the session cookies
+
+import { Actor } from 'apify';
+import { log } from 'crawlee';
+
+const AUTH_STORE_NAME = 'faculty-auth';
+
+const DEFAULT_SELECTORS = {
+    username: 'input[type="email"], input[name="username"], input[name="email"], input[name*="user" i], input[id*="user" i], input[name="loginfmt"], input[autocomplete="username"]',
+    password: 'input[type="password"]',
+    next: 'button[type="submit"], input[type="submit"], button[id*="next" i], #idSIButton9, .login-button',
+    submit: 'button[type="submit"], input[type="submit"], #idSIButton9, .login-button'
+};
+
+function sessionKey(url) {
+    const host = new URL(url).hostname.replace(/[^a-zA-Z0-9.-]/g, '-');
+    return `SESSION-${host}`;
+}
+
+export class LoginManager {
+    constructor(credentials = {}, config = {}) {
+        this.credentials = credentials;
+        this.config = config;
+        this.selectors = { ...DEFAULT_SELECTORS, ...(config.selectors || {}) };
+        this.cookies = null;
+        this.loginPromise = null;
+        this.store = null;
+    }
+
+    get enabled() {
+        return Boolean(this.credentials.username && this.credentials.password);
+    }
+
+    // Reuse cookies saved by an earlier run for the same login host
+    async loadSession(url) {
+        this.store = await Actor.openKeyValueStore(AUTH_STORE_NAME);
+        this.storeKey = sessionKey(this.config.loginUrl || url);
+
+        const saved = await this.store.getValue(this.storeKey);
+        if (saved?.cookies?.length) {
+            this.cookies = saved.cookies;
+            log.info(`Loaded ${saved.cookies.length} saved session cookies (saved ${saved.savedAt})`);
+        }
+    }
+
+    async saveSession(page) {
+        this.cookies = await page.context().cookies();
+        await this.store.setValue(this.storeKey, { cookies: this.cookies, savedAt: new Date().toISOString() });
+        log.info(`Saved ${this.cookies.length} session cookies`);
+    }
+
+    async invalidate() {
+        this.cookies = null;
+        await this.store?.setValue(this.storeKey, null);
+    }
+
+    // preNavigationHook: make sure the page's context carries a logged-in session
+    async ensureLoggedIn(page, url) {
+        if (!this.store) await this.loadSession(url);
+
+        if (this.cookies) {
+            await page.context().addCookies(this.cookies);
+            return;
+        }
+
+        // Concurrent pages share one login attempt
+        if (!this.loginPromise) {
+            this.loginPromise = this.login(page, url).finally(() => {
+                this.loginPromise = null;
+            });
+        }
+        await this.loginPromise;
+        if (this.cookies) await page.context().addCookies(this.cookies);
+    }
+
+    async login(page, url) {
+        const loginUrl = this.config.loginUrl || url;
+        log.info(`Logging in via ${loginUrl}...`);
+
+        await page.goto(loginUrl);
+        await page.waitForLoadState('networkidle');
+
+        if (this.config.steps?.length) {
+            await this.runSteps(page, this.config.steps);
+        } else {
+            await this.runDefaultFlow(page);
+        }
+
+        await page.waitForLoadState('networkidle');
+        if (!(await this.verify(page))) {
+            throw new Error(`Login failed: still on ${page.url()}`);
+        }
+
+        log.info('Authentication completed');
+        await this.saveSession(page);
+    }
+
+    // Username and password on one page, or username first and password after a redirect (SSO)
+    async runDefaultFlow(page) {
+        const timeout = this.config.stepTimeout ?? 15000;
+
+        const usernameField = page.locator(this.selectors.username).first();
+        if (await usernameField.isVisible().catch(() => false)) {
+            await usernameField.fill(this.credentials.username);
+        } else {
+            log.warning('Username field not found, continuing with password step');
+        }
+
+        const passwordField = page.locator(this.selectors.password).first();
+        if (!(await passwordField.isVisible().catch(() => false))) {
+            await page.locator(this.selectors.next).first().click({ timeout });
+            await passwordField.waitFor({ state: 'visible', timeout });
+        }
+
+        await passwordField.fill(this.credentials.password);
+        await Promise.all([
+            page.waitForLoadState('load', { timeout }).catch(() => {}),
+            page.locator(this.selectors.submit).first().click({ timeout })
+        ]);
+
+        // "Stay signed in?" and similar interstitials
+        if (this.config.afterLoginSelector) {
+            await page.locator(this.config.afterLoginSelector).first().click({ timeout: 5000 }).catch(() => {});
+        }
+    }
+
+    // Custom steps: [{ action: 'fill' | 'click' | 'waitFor' | 'goto' | 'press', selector, value, url, key }]
+    async runSteps(page, steps) {
+        const timeout = this.config.stepTimeout ?? 15000;
+        const template = (value = '') => value
+            .replace('{{username}}', () => this.credentials.username)
+            .replace('{{password}}', () => this.credentials.password);
+
+        for (const step of steps) {
+            switch (step.action) {
+                case 'goto':
+                    await page.goto(step.url);
+                    break;
+                case 'fill':
+                    await page.locator(step.selector).first().fill(template(step.value), { timeout });
+                    break;
+                case 'click':
+                    await page.locator(step.selector).first().click({ timeout });
+                    break;
+                case 'press':
+                    await page.locator(step.selector).first().press(step.key || 'Enter', { timeout });
+                    break;
+                case 'waitFor':
+                    await page.locator(step.selector).first().waitFor({ state: 'visible', timeout });
+                    break;
+                default:
+                    throw new Error(`Unknown login step action "${step.action}"`);
+            }
+            await page.waitForLoadState('networkidle').catch(() => {});
+        }
+    }
+
+    async verify(page) {
+        const { successSelector, successUrlPattern } = this.config;
+        const timeout = this.config.stepTimeout ?? 15000;
+
+        if (successUrlPattern) {
+            const pattern = new RegExp(successUrlPattern, 'i');
+            const matched = await page.waitForURL(pattern, { timeout }).then(() => true, () => false);
+            if (!matched) return false;
+        }
+        if (successSelector) {
+            const found = await page.waitForSelector(successSelector, { timeout }).then(() => true, () => false);
+            if (!found) return false;
+        }
+        if (!successUrlPattern && !successSelector) {
+            // Without explicit checks, a login form that is still showing means it failed
+            return !(await this.isLoginPage(page));
+        }
+        return true;
+    }
+
+    async isLoginPage(page) {
+        return await page.locator(this.selectors.password).first().isVisible().catch(() => false);
+    }
+
+    // A request that lands on a login page means the saved session expired. SSO flows usually redirect
+    // to a username-only first step, so a password field is not required.
+    async isSessionExpired(page, requestUrl) {
+        const { successSelector, loginUrl } = this.config;
+        const hasSuccessMarker = successSelector
+            ? await page.locator(successSelector).count().then(count => count > 0, () => false)
+            : false;
+        if (hasSuccessMarker) return false;
+        if (await this.isLoginPage(page)) return true;
+
+        const hostOf = (url) => {
+            try {
+                return new URL(url).hostname;
+            } catch {
+                return '';
+            }
+        };
+        const current = hostOf(page.url());
+        const redirectedOffSite = current !== hostOf(requestUrl);
+        if (redirectedOffSite && loginUrl && current === hostOf(loginUrl)) return true;
+
+        // A lone username field elsewhere could be a newsletter or search box, even when successSelector is missing
+        const onLoginPath = /\/(login|signin|sign-in|sso|cas|auth|idp)\b/i.test(page.url());
+        if (!redirectedOffSite && !onLoginPath) return false;
+        return await page.locator(this.selectors.username).first().isVisible().catch(() => false);
+    }
+}
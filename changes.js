@@ -0,0 +1,148 @@
+// Change detection: diff each institution's faculty against the snapshot from the previous run
+
+import { Actor } from 'apify';
+import { log } from 'crawlee';
+import { normalizePersonName, normalizeProfileUrl } from './dedupe.js';
+
+const SNAPSHOT_STORE_NAME = 'faculty-snapshots';
+const TRACKED_FIELDS = ['titles', 'email', 'phone'];
+
+function snapshotKey(institution) {
+    const slug = (institution || 'unknown').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+    return `SNAPSHOT-${slug}`.slice(0, 250);
+}
+
+function personKey(person) {
+    return normalizePersonName(person.name) || normalizeProfileUrl(person.profileLink);
+}
+
+// Values missing this run are not changes (see diffPerson), so the previous ones are kept for the next diff
+function snapshotEntry(person, previous = {}) {
+    return {
+        name: person.name,
+        titles: [...(person.titles || [])],
+        email: person.email || previous.email || '',
+        phone: person.phone || previous.phone || '',
+        profileLink: person.profileLink || ''
+    };
+}
+
+export function diffPerson(previous, current) {
+    const changes = [];
+    for (const field of TRACKED_FIELDS) {
+        if (field === 'titles') {
+            const before = [...(previous.titles || [])].sort();
+            const after = [...(current.titles || [])].sort();
+            if (before.join('|').toLowerCase() !== after.join('|').toLowerCase()) {
+                changes.push({ field, before: previous.titles || [], after: current.titles || [] });
+            }
+        } else if ((previous[field] || '') !== (current[field] || '')) {
+            // A value that merely went missing this run is not treated as a change
+            if (!current[field]) continue;
+            changes.push({ field, before: previous[field] || '', after: current[field] });
+        }
+    }
+    return changes;
+}
+
+export class ChangeTracker {
+    constructor() {
+        this.store = null;
+        this.previous = new Map();
+        this.current = new Map();
+        this.events = [];
+    }
+
+    async loadSnapshot(institution) {
+        if (this.previous.has(institution)) return this.previous.get(institution);
+
+        this.store = this.store || await Actor.openKeyValueStore(SNAPSHOT_STORE_NAME);
+        const snapshot = await this.store.getValue(snapshotKey(institution));
+        const entries = new Map(Object.entries(snapshot?.records || {}));
+
+        if (snapshot) {
+            log.info(`Loaded snapshot for ${institution}: ${entries.size} people from ${snapshot.savedAt}`);
+        } else {
+            log.info(`No previous snapshot for ${institution}; every person counts as added`);
+        }
+        this.previous.set(institution, entries);
+        return entries;
+    }
+
+    // Tag records with their change status and return the added/changed events
+    async track(records) {
+        const annotated = [];
+        const events = [];
+        const detectedAt = new Date().toISOString();
+
+        for (const person of records) {
+            const institution = person.university || 'unknown';
+            const previous = await this.loadSnapshot(institution);
+            const key = personKey(person);
+
+            const before = previous.get(key);
+            if (!this.current.has(institution)) this.current.set(institution, new Map());
+            this.current.get(institution).set(key, snapshotEntry(person, before));
+
+            let changeStatus = 'unchanged';
+            let changes = [];
+
+            if (!before) {
+                changeStatus = 'added';
+                events.push({ changeType: 'added', institution, name: person.name, changes: [], record: person, detectedAt });
+            } else {
+                changes = diffPerson(before, person);
+                if (changes.length > 0) {
+                    changeStatus = 'changed';
+                    events.push({ changeType: 'changed', institution, name: person.name, changes, record: person, detectedAt });
+                }
+            }
+
+            annotated.push({ ...person, changeStatus, changes });
+        }
+
+        this.events.push(...events);
+        return { records: annotated, events };
+    }
+
+    // Emit removals for institutions scraped this run and save their new snapshots.
+    // incompleteInstitutions (null: all of them) were only partly seen: no removals, and people
+    // missing this run stay in the snapshot.
+    async finish({ incompleteInstitutions = [] } = {}) {
+        const removed = [];
+        const detectedAt = new Date().toISOString();
+        const incomplete = incompleteInstitutions === null ? null : new Set(incompleteInstitutions);
+
+        for (const [institution, current] of this.current) {
+            const previous = this.previous.get(institution) || new Map();
+            const complete = incomplete !== null && !incomplete.has(institution);
+
+            if (complete) {
+                for (const [key, entry] of previous) {
+                    if (!current.has(key)) {
+                        removed.push({ changeType: 'removed', institution, name: entry.name, changes: [], record: entry, detectedAt });
+                    }
+                }
+            } else {
+                log.warning(`Not all of ${institution}'s directory was scraped; skipping removals and keeping missing people in its snapshot`);
+            }
+
+            await this.store.setValue(snapshotKey(institution), {
+                institution,
+                savedAt: detectedAt,
+                records: Object.fromEntries(complete ? current : new Map([...previous, ...current]))
+            });
+        }
+
+        this.events.push(...removed);
+
+        const summary = this.summary();
+        log.info(`Change detection: ${summary.added} added, ${summary.changed} changed, ${summary.removed} removed`);
+        return removed;
+    }
+
+    summary() {
+        const count = (type) => this.events.filter(event => event.changeType === type).length;
+        return { added: count('added'), changed: count('changed'), removed: count('removed') };
+    }
+}
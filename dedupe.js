@@ -0,0 +1,225 @@
+// Cross-page deduplication: one consolidated record per person
+
+import { stripDiacritics } from './names.js';
+
+export function normalizePersonName(name) {
+    return stripDiacritics(name)
+        .toLowerCase()
+        .replace(/[^a-z\s-]/g, ' ')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+export function normalizeProfileUrl(url) {
+    if (!url) return '';
+    try {
+        const parsed = new URL(url);
+        return `${parsed.hostname.replace(/^www\./, '')}${parsed.pathname.replace(/\/+$/, '')}`.toLowerCase();
+    } catch {
+        return url.toLowerCase();
+    }
+}
+
+function isRealEmail(person) {
+    return Boolean(person.email) && person.emailSource !== 'inferred';
+}
+
+// Department and shared addresses (music@...) are real but belong to many people
+function isIdentifyingEmail(person) {
+    return isRealEmail(person) && (person.emailSource === 'name-matched' || person.emailConfidence > 0.5);
+}
+
+// Bulky fields left out of the saved state, which is a single key-value record with a size limit
+// and grows with every run under dedupAcrossRuns. Records restored after a migration lack them.
+const UNPERSISTED_FIELDS = ['bio', 'autoDetection'];
+
+function hasValue(value) {
+    return value !== undefined && value !== null && value !== '' && !(Array.isArray(value) && value.length === 0);
+}
+
+export class FacultyDeduplicator {
+    constructor(entries = [], { sharedProfiles = [] } = {}) {
+        this.entries = [];
+        this.byEmail = new Map();
+        this.byProfile = new Map();
+        this.byName = new Map();
+        // Profile URLs listed for more than one person (program pages, "read more" listings)
+        this.sharedProfiles = new Set(sharedProfiles);
+
+        for (const entry of entries) {
+            this.entries.push(entry);
+            this.index(entry);
+        }
+    }
+
+    static fromJSON(state) {
+        return new FacultyDeduplicator(state?.entries || [], { sharedProfiles: state?.sharedProfiles || [] });
+    }
+
+    toJSON() {
+        const entries = this.entries.map(entry => {
+            const saved = { ...entry };
+            for (const field of UNPERSISTED_FIELDS) delete saved[field];
+            return saved;
+        });
+        return { entries, sharedProfiles: Array.from(this.sharedProfiles) };
+    }
+
+    get size() {
+        return this.entries.length;
+    }
+
+    nameKey(person) {
+        return `${normalizePersonName(person.name)}|${normalizePersonName(person.university)}`;
+    }
+
+    index(entry) {
+        if (isIdentifyingEmail(entry)) this.byEmail.set(entry.email.toLowerCase(), entry);
+        if (this.isIdentifyingProfile(entry)) this.byProfile.set(normalizeProfileUrl(entry.profileLink), entry);
+        this.byName.set(this.nameKey(entry), entry);
+    }
+
+    isIdentifyingProfile(person) {
+        return Boolean(person.profileLink) && !this.sharedProfiles.has(normalizeProfileUrl(person.profileLink));
+    }
+
+    // records: everyone extracted from one page. A profile URL that two of them share identifies neither.
+    observeProfileLinks(records) {
+        const counts = new Map();
+        for (const person of records) {
+            if (!person.profileLink) continue;
+            const key = normalizeProfileUrl(person.profileLink);
+            counts.set(key, (counts.get(key) || 0) + 1);
+        }
+        for (const [key, count] of counts) {
+            if (count < 2) continue;
+            this.sharedProfiles.add(key);
+            this.byProfile.delete(key);
+        }
+    }
+
+    findMatch(person) {
+        // A name-matched email and a profile URL of this person alone identify them outright
+        if (isIdentifyingEmail(person)) {
+            const match = this.byEmail.get(person.email.toLowerCase());
+            if (match) return match;
+        }
+        if (this.isIdentifyingProfile(person)) {
+            const match = this.byProfile.get(normalizeProfileUrl(person.profileLink));
+            if (match) return match;
+        }
+
+        // Same name at the same institution, unless both carry different personal emails
+        const match = this.byName.get(this.nameKey(person));
+        if (match && isIdentifyingEmail(match) && isIdentifyingEmail(person) &&
+            match.email.toLowerCase() !== person.email.toLowerCase()) {
+            return null;
+        }
+        return match || null;
+    }
+
+    add(records, { runId = null } = {}) {
+        this.observeProfileLinks(records);
+        for (const person of records) {
+            const existing = this.findMatch(person);
+            if (existing) {
+                this.merge(existing, person, runId);
+                this.index(existing);
+            } else {
+                const entry = {
+                    ...person,
+                    titles: [...(person.titles || [])],
+                    sourceUrls: [...new Set([...(person.sourceUrls || []), person.sourceUrl].filter(Boolean))],
+                    fieldSources: { ...(person.fieldSources || {}) },
+                    lastSeenRunId: runId
+                };
+                this.entries.push(entry);
+                this.index(entry);
+            }
+        }
+    }
+
+    merge(entry, person, runId) {
+        if (entry.lastSeenRunId !== runId) {
+            this.replaceFromCurrentRun(entry, person, runId);
+            return;
+        }
+
+        // Titles: union, keeping first-seen order
+        const knownTitles = new Set(entry.titles.map(title => title.toLowerCase()));
+        for (const title of person.titles || []) {
+            if (!knownTitles.has(title.toLowerCase())) {
+                knownTitles.add(title.toLowerCase());
+                entry.titles.push(title);
+            }
+        }
+
+        // Email: real addresses beat inferred ones, then the higher confidence wins
+        const better = person.email && (
+            !entry.email ||
+            (isRealEmail(person) && !isRealEmail(entry)) ||
+            (isRealEmail(person) === isRealEmail(entry) && person.emailConfidence > entry.emailConfidence)
+        );
+        if (better) {
+            entry.email = person.email;
+            entry.emailConfidence = person.emailConfidence;
+            entry.emailSource = person.emailSource;
+            entry.fieldSources.email = person.fieldSources?.email ?? entry.fieldSources.email;
+            if (person.emailPattern) {
+                entry.emailPattern = person.emailPattern;
+            } else {
+                delete entry.emailPattern;
+            }
+        }
+
+        // Phone travels with its extension and raw value
+        if (!entry.phone && person.phone) {
+            entry.phone = person.phone;
+            entry.phoneExtension = person.phoneExtension || '';
+            entry.phoneRaw = person.phoneRaw || '';
+            if (person.fieldSources?.phone) entry.fieldSources.phone = person.fieldSources.phone;
+        }
+
+        // Everything else: keep the first non-empty value
+        for (const field of ['profileLink', 'office', 'bio', 'headshotUrl']) {
+            if (!entry[field] && person[field]) {
+                entry[field] = person[field];
+                if (person.fieldSources?.[field]) entry.fieldSources[field] = person.fieldSources[field];
+            }
+        }
+
+        for (const url of [...(person.sourceUrls || []), person.sourceUrl]) {
+            if (url && !entry.sourceUrls.includes(url)) entry.sourceUrls.push(url);
+        }
+        entry.lastSeenRunId = runId;
+        entry.scrapedAt = person.scrapedAt || entry.scrapedAt;
+    }
+
+    // First sighting in this run of a person known from an earlier run: what the site shows now wins,
+    // so changed phones, titles and emails are reported; stored values only fill fields left empty
+    replaceFromCurrentRun(entry, person, runId) {
+        const { titles, fieldSources, sourceUrl, sourceUrls, ...fields } = person;
+        if (hasValue(fields.email)) {
+            for (const field of ['emailConfidence', 'emailSource', 'emailPattern', 'emailTechnique']) delete entry[field];
+        }
+        if (hasValue(fields.phone)) {
+            for (const field of ['phoneExtension', 'phoneRaw']) delete entry[field];
+        }
+        for (const [field, value] of Object.entries(fields)) {
+            if (hasValue(value)) entry[field] = value;
+        }
+        if (hasValue(titles)) entry.titles = [...titles];
+
+        for (const [field, source] of Object.entries(fieldSources || {})) {
+            if (hasValue(source)) entry.fieldSources[field] = source;
+        }
+        entry.sourceUrls = [...new Set([...(sourceUrls || []), sourceUrl].filter(Boolean))];
+        entry.lastSeenRunId = runId;
+    }
+
+    records({ runId } = {}) {
+        return runId === undefined
+            ? this.entries
+            : this.entries.filter(entry => entry.lastSeenRunId === runId);
+    }
+}
@@ -0,0 +1,97 @@
+// Discipline profiles: department keywords, title vocabulary and specialties per vertical
+// See README.md ("Disciplines") for the profile format.
+
+import { readdir, readFile } from 'node:fs/promises';
+import { DEFAULT_TITLE_VOCABULARY } from './titles.js';
+
+const BUNDLED_PROFILES_DIR = new URL('./disciplines/', import.meta.url);
+
+export const DEFAULT_DISCIPLINE = 'music';
+
+async function loadBundledProfiles() {
+    const profiles = new Map();
+    const files = (await readdir(BUNDLED_PROFILES_DIR)).filter(file => file.endsWith('.json')).sort();
+
+    for (const file of files) {
+        const profile = JSON.parse(await readFile(new URL(file, BUNDLED_PROFILES_DIR), 'utf8'));
+        profiles.set(profile.name, profile);
+    }
+    return profiles;
+}
+
+// discipline: a bundled profile name, or a profile object (optionally "extends" a bundled one)
+export async function loadDisciplineProfile(discipline = DEFAULT_DISCIPLINE) {
+    const bundled = await loadBundledProfiles();
+    const known = Array.from(bundled.keys()).join(', ');
+
+    if (typeof discipline === 'string') {
+        if (!bundled.has(discipline)) {
+            throw new Error(`Unknown discipline "${discipline}" (bundled: ${known})`);
+        }
+        return compileDisciplineProfile(bundled.get(discipline), `disciplines/${discipline}.json`);
+    }
+
+    if (discipline.extends && !bundled.has(discipline.extends)) {
+        throw new Error(`Discipline profile extends unknown discipline "${discipline.extends}" (bundled: ${known})`);
+    }
+    // Naming comes from the new profile; vocabulary is inherited
+    const { label, defaultDepartmentName, ...base } = discipline.extends ? bundled.get(discipline.extends) : {};
+    return compileDisciplineProfile({ ...base, ...discipline }, 'input discipline');
+}
+
+export function compileDisciplineProfile(profile, origin = 'discipline profile') {
+    const problems = [];
+
+    if (!profile || typeof profile !== 'object') {
+        throw new Error(`Invalid discipline profile in ${origin}: expected an object`);
+    }
+    if (!profile.name || typeof profile.name !== 'string') problems.push('missing "name"');
+    if (!Array.isArray(profile.departmentKeywords) || profile.departmentKeywords.length === 0) {
+        problems.push('missing "departmentKeywords"');
+    }
+
+    const compile = (pattern, where) => {
+        try {
+            return new RegExp(pattern, 'i');
+        } catch (error) {
+            problems.push(`bad ${where} pattern "${pattern}": ${error.message}`);
+            return null;
+        }
+    };
+    const compileEntries = (entries = [], where) => entries.map(entry => {
+        if (!entry?.id || !entry.pattern) {
+            problems.push(`${where} entries need "id" and "pattern"`);
+            return null;
+        }
+        return { ...entry, pattern: compile(entry.pattern, `${where} "${entry.id}"`) };
+    }).filter(entry => entry?.pattern);
+
+    const roles = compileEntries(profile.roles, 'role');
+    const specialties = compileEntries(profile.specialties, 'specialty');
+    const facultyTitles = (profile.facultyTitles || []).filter(pattern => compile(pattern, 'facultyTitles'));
+
+    if (problems.length > 0) {
+        throw new Error(`Invalid discipline profile "${profile.name || '?'}" in ${origin}: ${problems.join(', ')}`);
+    }
+
+    const { personTypes } = DEFAULT_TITLE_VOCABULARY;
+    return {
+        name: profile.name,
+        label: profile.label || profile.name,
+        departmentKeywords: profile.departmentKeywords,
+        parentUnitKeywords: profile.parentUnitKeywords || [],
+        defaultDepartmentName: profile.defaultDepartmentName || `${profile.label || profile.name} Department`,
+        titleWords: profile.titleWords || [],
+        titleVocabulary: {
+            ...DEFAULT_TITLE_VOCABULARY,
+            roles: [...DEFAULT_TITLE_VOCABULARY.roles, ...roles],
+            specialties,
+            personTypes: {
+                ...personTypes,
+                faculty: facultyTitles.length > 0
+                    ? new RegExp(`${personTypes.faculty.source}|${facultyTitles.join('|')}`, 'i')
+                    : personTypes.faculty
+            }
+        }
+    };
+}
@@ -0,0 +1,181 @@
+// Discovery: find the department's faculty directory from a university domain or home page
+
+import { log } from 'crawlee';
+import { getDomain } from 'tldts';
+import { keywordSource } from './helpers.js';
+
+const DIRECTORY_TEXT = /\b(faculty(\s*(&|and)\s*staff)?|people|directory|our faculty|faculty directory|staff directory|meet (the|our) faculty|instructors|teachers)\b/i;
+// A whole path segment; "faculty-recital" or "faculty-news" only mention the word
+const DIRECTORY_PATH = /^(faculty|people|directory|staff|faculty[-_](and[-_])?staff|our[-_]faculty|(faculty|staff)[-_]directory|instructors)(\.\w+)?$/i;
+const UNIT_TEXT = /\b(school|college|department|dept|division|conservatory|institute)\b/i;
+const NOISE = /\b(news|events?|calendar|apply|admissions?|give|giving|donate|login|log in|sign in|alumni|tickets|concerts?|jobs|careers|emeriti|students?|handbook|resources?|search)\b/i;
+const SKIPPED_EXTENSIONS = /\.(pdf|jpe?g|png|gif|svg|docx?|xlsx?|pptx?|zip|mp3|mp4|ics)$/i;
+
+const MAX_SITEMAPS = 5;
+const MAX_SITEMAP_URLS = 5000;
+
+// "ku.edu", "www.ku.edu" or a full URL → a URL to start discovery from
+export function toDiscoveryUrl(value) {
+    const text = (typeof value === 'string' ? value : value?.url || '').trim();
+    return /^https?:\/\//i.test(text) ? text : `https://${text.replace(/^\/+/, '')}`;
+}
+
+// Registrable domain from the public suffix list ("music.ox.ac.uk" → "ox.ac.uk");
+// hosts without one (localhost, IP addresses) stand for themselves
+export function siteOf(url) {
+    const hostname = new URL(url).hostname.toLowerCase();
+    return getDomain(hostname, { allowPrivateDomains: true }) || hostname;
+}
+
+function keywordPattern(keywords) {
+    return new RegExp(`\\b(${keywords.map(keyword => keywordSource(keyword, '[\\s_-]+')).join('|')})\\b`, 'i');
+}
+
+// Runs inside the browser via page.evaluate, so it must stay self-contained
+export function collectLinksInPage() {
+    const links = [];
+    for (const anchor of document.querySelectorAll('a[href]')) {
+        const href = anchor.href;
+        if (!/^https?:/i.test(href)) continue;
+
+        links.push({
+            url: href.split('#')[0],
+            text: (anchor.textContent || anchor.getAttribute('aria-label') || anchor.title || '').replace(/\s+/g, ' ').trim().slice(0, 120),
+            inNav: Boolean(anchor.closest('nav, header, [role="navigation"], .menu, .nav, .navbar, #menu, #nav'))
+        });
+    }
+    return links;
+}
+
+// Sitemaps listed in robots.txt plus the usual locations; sitemap indexes are followed one level,
+// preferring child sitemaps whose URL mentions the department
+export async function readSitemapUrls(page, homepageUrl, { keywords }) {
+    const origin = new URL(homepageUrl).origin;
+    const fetchText = async (url) => {
+        try {
+            const response = await page.request.get(url, { timeout: 15000 });
+            return response.ok() ? await response.text() : '';
+        } catch (error) {
+            return '';
+        }
+    };
+    const locs = (xml) => Array.from(xml.matchAll(/<loc>\s*([^<\s]+)\s*<\/loc>/gi), match => match[1].replace(/&amp;/g, '&'));
+
+    const robots = await fetchText(`${origin}/robots.txt`);
+    const sitemaps = Array.from(robots.matchAll(/^\s*sitemap:\s*(\S+)/gim), match => match[1]);
+    if (sitemaps.length === 0) sitemaps.push(`${origin}/sitemap.xml`, `${origin}/sitemap_index.xml`);
+
+    const departmentPattern = keywordPattern(keywords);
+    const urls = [];
+    const queue = [...new Set(sitemaps)];
+    let fetched = 0;
+
+    while (queue.length > 0 && fetched < MAX_SITEMAPS && urls.length < MAX_SITEMAP_URLS) {
+        const xml = await fetchText(queue.shift());
+        fetched++;
+        if (!xml) continue;
+
+        if (/<sitemapindex/i.test(xml)) {
+            const children = locs(xml).sort((a, b) => Number(departmentPattern.test(b)) - Number(departmentPattern.test(a)));
+            queue.push(...children);
+        } else {
+            urls.push(...locs(xml));
+        }
+    }
+
+    log.info(`Discovery: ${urls.length} URLs from ${fetched} sitemaps on ${origin}`);
+    return urls.slice(0, MAX_SITEMAP_URLS);
+}
+
+// Scores how likely a link is the department's faculty listing (directory) or the department's own site
+export function scoreCandidate({ url, text = '', inNav = false, fromSitemap = false }, { keywords }) {
+    const departmentPattern = keywordPattern(keywords);
+    const { hostname, pathname } = new URL(url);
+    let path = pathname.toLowerCase();
+    try {
+        path = decodeURIComponent(path);
+    } catch (error) {
+        // Keep the raw path
+    }
+    const segments = path.split('/').filter(Boolean);
+    const reasons = [];
+    let department = 0;
+    let directory = 0;
+
+    if (departmentPattern.test(hostname.split('.').slice(0, -2).join('.'))) {
+        department += 3;
+        reasons.push('department subdomain');
+    }
+    if (departmentPattern.test(path)) {
+        department += 2;
+        reasons.push('department in path');
+    }
+    if (departmentPattern.test(text)) {
+        department += UNIT_TEXT.test(text) ? 3 : 2;
+        reasons.push('department in link text');
+    }
+
+    if (DIRECTORY_TEXT.test(text)) {
+        directory += 3;
+        reasons.push('directory link text');
+    }
+    // The last directory-like segment, so ".../people/faculty" is still the listing
+    const directorySegment = segments.findLastIndex(segment => DIRECTORY_PATH.test(segment));
+    if (directorySegment >= 0) {
+        directory += 2;
+        reasons.push('directory path');
+        // ".../people/jane-doe" is a single profile, not the listing
+        if (segments.length - directorySegment > 1) {
+            directory -= 2;
+            reasons.push('profile-like path');
+        }
+    }
+
+    let score = directory * (department > 0 ? 1.5 : 0.5) + department;
+    if (inNav) score += 1;
+    if (fromSitemap && directory > 0) score += 0.5;
+    if (NOISE.test(text) || segments.some(segment => NOISE.test(segment))) {
+        score -= 3;
+        reasons.push('noise');
+    }
+
+    return { url, text, score: Math.round(score * 10) / 10, department, directory, reasons };
+}
+
+// pageUrl is the page the links came from; it is never a candidate itself
+export function rankCandidates(links, sitemapUrls, pageUrl, { keywords }) {
+    const site = siteOf(pageUrl);
+    const current = pageUrl.split('#')[0].replace(/\/$/, '');
+    const byUrl = new Map();
+
+    const add = (candidate) => {
+        let parsed;
+        try {
+            parsed = new URL(candidate.url);
+        } catch (error) {
+            return;
+        }
+        if (siteOf(parsed.href) !== site || SKIPPED_EXTENSIONS.test(parsed.pathname)) return;
+        if (parsed.href.split('#')[0].replace(/\/$/, '') === current) return;
+
+        const scored = scoreCandidate(candidate, { keywords });
+        const existing = byUrl.get(scored.url);
+        if (!existing || scored.score > existing.score) byUrl.set(scored.url, scored);
+    };
+
+    for (const link of links) add(link);
+    for (const url of sitemapUrls) add({ url, fromSitemap: true });
+
+    return Array.from(byUrl.values())
+        .filter(candidate => candidate.score > 0)
+        .sort((a, b) => b.score - a.score);
+}
+
+// Directory candidates need both signals; otherwise the best department site is searched next
+export function chooseCandidates(ranked, { maxCandidates = 1, minScore = 5 } = {}) {
+    const directories = ranked
+        .filter(candidate => candidate.directory > 0 && candidate.department > 0 && candidate.score >= minScore)
+        .slice(0, maxCandidates);
+    const departmentSite = ranked.find(candidate => candidate.department > 0 && candidate.directory <= 0) || null;
+    return { directories, departmentSite };
+}
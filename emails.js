@@ -0,0 +1,269 @@
+// Email recovery: decode obfuscated, protected and script-generated addresses
+
+import { calculateEmailConfidence, cleanEmail } from './helpers.js';
+import { nameMatchParts } from './names.js';
+
+const EMAIL_PATTERN = /[a-z0-9._%+-]+@[a-z0-9-]+(?:\.[a-z0-9-]+)*\.[a-z]{2,}/gi;
+
+// Runs inside the browser via page.evaluate, so it must stay self-contained.
+// Returns raw evidence for the nth element matching `container`, keyed by index.
+export function collectEmailEvidenceInPage({ container, indices }) {
+    const elements = Array.from(document.querySelectorAll(container));
+    const evidence = {};
+
+    for (const index of indices) {
+        const root = elements[index];
+        if (!root) continue;
+
+        const attributeValues = (selector, attribute) =>
+            Array.from(root.querySelectorAll(selector)).map(element => element.getAttribute(attribute) || '');
+
+        // Text shown reversed through `direction: rtl; unicode-bidi: bidi-override`
+        const reversed = Array.from(root.querySelectorAll('*'))
+            .filter(element => element.children.length === 0 && element.textContent.includes('@'))
+            .filter(element => {
+                const style = getComputedStyle(element);
+                return style.direction === 'rtl' && style.unicodeBidi.includes('bidi-override');
+            })
+            .map(element => element.textContent.trim());
+
+        // Handlers and inline scripts that assemble a mailto: link on click
+        const scripts = [
+            ...Array.from(root.querySelectorAll('[onclick], [onmouseover], [onfocus], a[href^="javascript:"]'))
+                .map(element => [element.getAttribute('onclick'), element.getAttribute('onmouseover'),
+                    element.getAttribute('onfocus'), element.getAttribute('href')].filter(Boolean).join(';')),
+            ...Array.from(root.querySelectorAll('script')).map(script => script.textContent)
+        ].filter(source => source && source.length < 5000);
+
+        // <a data-user="jdoe" data-domain="school.edu"> style markup
+        const dataAttributes = Array.from(root.querySelectorAll('[data-user], [data-name], [data-mailbox]'))
+            .map(element => ({
+                user: element.getAttribute('data-user') || element.getAttribute('data-name') || element.getAttribute('data-mailbox') || '',
+                domain: element.getAttribute('data-domain') || element.getAttribute('data-host') || element.getAttribute('data-site') || ''
+            }))
+            .filter(pair => pair.user && pair.domain);
+
+        evidence[index] = {
+            text: (root.innerText || root.textContent || '').slice(0, 20000),
+            hrefs: attributeValues('a[href^="mailto:"], a[href*="email-protection"]', 'href'),
+            cfemail: attributeValues('[data-cfemail]', 'data-cfemail'),
+            reversed,
+            scripts,
+            dataAttributes
+        };
+    }
+
+    return evidence;
+}
+
+export function decodeCloudflareEmail(encoded) {
+    if (!encoded || !/^[0-9a-f]+$/i.test(encoded) || encoded.length % 2 !== 0) return '';
+
+    const key = parseInt(encoded.slice(0, 2), 16);
+    let decoded = '';
+    for (let i = 2; i < encoded.length; i += 2) {
+        decoded += String.fromCharCode(parseInt(encoded.slice(i, i + 2), 16) ^ key);
+    }
+    return decoded;
+}
+
+export function deobfuscateEmailText(text) {
+    if (!text) return '';
+
+    return decodeEntities(text)
+        // jdoe [at] school [dot] edu, jdoe (at) school (dot) edu, jdoe {@} school
+        .replace(/\s*[[({<]\s*(?:at|@)\s*[\])}>]\s*/gi, '@')
+        .replace(/\s*[[({<]\s*(?:dot|\.)\s*[\])}>]\s*/gi, '.')
+        // jdoe AT school DOT edu (spelled-out words need surrounding spaces)
+        .replace(/(\w)\s+(?:at|AT)\s+(\w[\w-]*)\s+(?:dot|DOT)\s+/g, '$1@$2.')
+        .replace(/(@[\w.-]+?)\s+(?:dot|DOT)\s+(\w)/g, '$1.$2')
+        .replace(/(\w)\s*\{?\s*(?:_at_|-at-)\s*\}?\s*(\w)/gi, '$1@$2')
+        .replace(/(\w)\s*(?:_dot_|-dot-)\s*(\w)/gi, '$1.$2');
+}
+
+function decodeEntities(text) {
+    return text
+        .replace(/&#x([0-9a-f]+);/gi, (_, hex) => String.fromCharCode(parseInt(hex, 16)))
+        .replace(/&#(\d+);/g, (_, code) => String.fromCharCode(parseInt(code, 10)))
+        .replace(/&commat;/gi, '@')
+        .replace(/&period;/gi, '.');
+}
+
+function decodeScript(source) {
+    const decoded = decodeEntities(source)
+        // String.fromCharCode(106, 100, ...)
+        .replace(/String\.fromCharCode\(([\d\s,]+)\)/g, (_, codes) =>
+            `'${codes.split(',').map(code => String.fromCharCode(parseInt(code, 10))).join('')}'`)
+        // 'ude.loohcs@eodj'.split('').reverse().join('')
+        .replace(/(['"])([^'"]*)\1\.split\((['"])\3\)\.reverse\(\)\.join\((['"])\4\)/g, (_, quote, text) =>
+            `'${text.split('').reverse().join('')}'`);
+
+    // Glue concatenated string literals together: 'jdoe' + '@' + 'school.edu'
+    const literals = decoded.match(/(['"])((?:\\.|(?!\1).)*)\1/g) || [];
+    const joined = literals.map(literal => literal.slice(1, -1)).join('');
+
+    return `${decoded}\n${joined.replace(/^mailto:/i, '')}`;
+}
+
+function safeDecodeURIComponent(text) {
+    try {
+        return decodeURIComponent(text);
+    } catch {
+        return text;
+    }
+}
+
+function findEmails(text) {
+    return (text.match(EMAIL_PATTERN) || []).map(cleanEmail).filter(Boolean);
+}
+
+export function collectEmailCandidates(evidence = {}, rawEmail = '') {
+    const candidates = [];
+    const add = (emails, technique) => {
+        for (const email of emails) {
+            if (!candidates.some(candidate => candidate.email === email)) {
+                candidates.push({ email, technique });
+            }
+        }
+    };
+
+    // mailto:jdoe(at)school.edu and similar broken hrefs
+    if (rawEmail) add(findEmails(deobfuscateEmailText(rawEmail)), 'obfuscated-text');
+
+    for (const href of evidence.hrefs || []) {
+        const protectedMatch = href.match(/email-protection#([0-9a-f]+)/i);
+        if (protectedMatch) {
+            add(findEmails(decodeCloudflareEmail(protectedMatch[1])), 'cloudflare');
+        } else {
+            add(findEmails(deobfuscateEmailText(safeDecodeURIComponent(href.replace(/^mailto:/i, '')))), 'obfuscated-text');
+        }
+    }
+    for (const encoded of evidence.cfemail || []) {
+        add(findEmails(decodeCloudflareEmail(encoded)), 'cloudflare');
+    }
+    for (const pair of evidence.dataAttributes || []) {
+        add(findEmails(`${pair.user}@${pair.domain}`), 'data-attributes');
+    }
+    for (const source of evidence.scripts || []) {
+        add(findEmails(decodeScript(source)), 'script');
+    }
+    for (const text of evidence.reversed || []) {
+        add(findEmails(text.split('').reverse().join('')), 'reversed-text');
+    }
+
+    // Plain addresses in text first, then the [at]/[dot] spellings
+    const text = evidence.text || '';
+    add(findEmails(text), 'plain-text');
+    add(findEmails(deobfuscateEmailText(text)), 'obfuscated-text');
+
+    return candidates;
+}
+
+// ownContainer: the evidence is the person's own card or row. Evidence from a whole page (a profile's
+// content area, footer included) only yields an address that matches the person's name.
+export function recoverEmail(name, evidence = {}, rawEmail = '', { ownContainer = true } = {}) {
+    const candidates = collectEmailCandidates(evidence, rawEmail);
+    if (candidates.length === 0) return null;
+
+    // Prefer the address that matches the person; earlier techniques win ties
+    let best = null;
+    for (const candidate of candidates) {
+        const confidence = calculateEmailConfidence(name, candidate.email);
+        if (!best || confidence > best.confidence) {
+            best = { ...candidate, confidence };
+        }
+    }
+    return ownContainer || best.confidence > 0.5 ? best : null;
+}
+
+// Local-part conventions, most specific first so "first.last" wins over "first"
+const LOCAL_PART_PATTERNS = [
+    { id: 'first.last', build: ({ first, last }) => `${first}.${last}` },
+    { id: 'first_last', build: ({ first, last }) => `${first}_${last}` },
+    { id: 'first-last', build: ({ first, last }) => `${first}-${last}` },
+    { id: 'last.first', build: ({ first, last }) => `${last}.${first}` },
+    { id: 'first.m.last', build: ({ first, middle, last }) => middle ? `${first}.${middle[0]}.${last}` : '' },
+    { id: 'firstlast', build: ({ first, last }) => `${first}${last}` },
+    { id: 'first.l', build: ({ first, last }) => `${first}.${last[0]}` },
+    { id: 'f.last', build: ({ first, last }) => `${first[0]}.${last}` },
+    { id: 'fmlast', build: ({ first, middle, last }) => middle ? `${first[0]}${middle[0]}${last}` : '' },
+    { id: 'flast', build: ({ first, last }) => `${first[0]}${last}` },
+    { id: 'firstl', build: ({ first, last }) => `${first}${last[0]}` },
+    { id: 'lastf', build: ({ first, last }) => `${last}${first[0]}` },
+    { id: 'last', build: ({ last }) => last },
+    { id: 'first', build: ({ first }) => first }
+];
+
+function emailNameParts(name) {
+    const { first, middle, last } = nameMatchParts(name);
+    return first && last ? { first, middle, last } : null;
+}
+
+export function detectEmailPattern(name, email) {
+    const parts = emailNameParts(name);
+    if (!parts || !email || !email.includes('@')) return null;
+
+    // Departments often append digits to disambiguate (jdoe2@)
+    const local = email.split('@')[0].toLowerCase().replace(/\d+$/, '');
+    const pattern = LOCAL_PART_PATTERNS.find(candidate => candidate.build(parts) === local);
+    return pattern ? pattern.id : null;
+}
+
+export class EmailPatternLearner {
+    constructor({ minSamples = 3, minConsistency = 0.6 } = {}) {
+        this.minSamples = minSamples;
+        this.minConsistency = minConsistency;
+        this.domains = new Map();
+    }
+
+    // Learn from records whose email is built from the person's own name
+    observe(records) {
+        for (const person of records) {
+            if (!person.email || person.emailSource === 'inferred') continue;
+
+            const patternId = detectEmailPattern(person.name, person.email);
+            if (!patternId) continue;
+
+            const domain = person.email.split('@')[1];
+            const stats = this.domains.get(domain) || { total: 0, patterns: new Map() };
+            stats.total++;
+            stats.patterns.set(patternId, (stats.patterns.get(patternId) || 0) + 1);
+            this.domains.set(domain, stats);
+        }
+    }
+
+    // Dominant mail domain and local-part convention, or null when the evidence is too thin
+    getDominantPattern() {
+        let best = null;
+        for (const [domain, stats] of this.domains) {
+            if (!best || stats.total > best.stats.total) best = { domain, stats };
+        }
+        if (!best || best.stats.total < this.minSamples) return null;
+
+        const [patternId, count] = [...best.stats.patterns.entries()].sort((a, b) => b[1] - a[1])[0];
+        const consistency = count / best.stats.total;
+        if (consistency < this.minConsistency) return null;
+
+        return { domain: best.domain, patternId, consistency, samples: best.stats.total };
+    }
+
+    infer(name) {
+        const dominant = this.getDominantPattern();
+        const parts = emailNameParts(name);
+        if (!dominant || !parts) return null;
+
+        const pattern = LOCAL_PART_PATTERNS.find(candidate => candidate.id === dominant.patternId);
+        const local = pattern.build(parts);
+        if (!local) return null;
+
+        // Consistent, well-sampled patterns approach but never reach a found email's confidence
+        const sampleFactor = Math.min(1, dominant.samples / 10);
+        const confidence = Math.round(dominant.consistency * (0.5 + 0.3 * sampleFactor) * 100) / 100;
+
+        return {
+            email: `${local}@${dominant.domain}`,
+            confidence,
+            pattern: dominant.patternId
+        };
+    }
+}
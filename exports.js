@@ -0,0 +1,206 @@
+// CRM-ready exports: CSV, vCard and HubSpot/Salesforce contact import files
+
+import { Actor } from 'apify';
+import { log } from 'crawlee';
+
+// Values any column mapping can refer to
+const FIELD_GETTERS = {
+    name: person => person.name,
+    firstName: person => person.firstName,
+    middleName: person => person.middleName,
+    lastName: person => person.lastName,
+    honorific: person => person.honorific,
+    suffix: person => person.suffix,
+    credentials: person => (person.credentials || []).join(', '),
+    title: person => (person.titles || [])[0] || '',
+    titles: person => (person.titles || []).join('; '),
+    rank: person => person.rank,
+    roles: person => (person.roles || []).join('; '),
+    specialties: person => (person.specialties || []).join('; '),
+    personType: person => person.personType,
+    email: person => person.email,
+    emailConfidence: person => person.emailConfidence,
+    emailSource: person => person.emailSource,
+    phone: person => formatPhone(person),
+    phoneE164: person => person.phone,
+    phoneExtension: person => person.phoneExtension,
+    phoneRaw: person => person.phoneRaw,
+    university: person => person.university,
+    department: person => person.department,
+    discipline: person => person.discipline,
+    profileLink: person => person.profileLink,
+    office: person => person.office,
+    headshotUrl: person => person.headshotUrl,
+    bio: person => person.bio,
+    sourceUrl: person => person.sourceUrl,
+    sourceFrame: person => person.sourceFrame,
+    sourceUrls: person => (person.sourceUrls || [person.sourceUrl]).filter(Boolean).join(' '),
+    changeStatus: person => person.changeStatus,
+    scrapedAt: person => person.scrapedAt
+};
+
+export const CRM_PRESETS = {
+    hubspot: {
+        'First Name': 'firstName',
+        'Last Name': 'lastName',
+        'Email': 'email',
+        'Phone Number': 'phone',
+        'Job Title': 'title',
+        'Company Name': 'university',
+        'Department': 'department',
+        'Website URL': 'profileLink',
+        'Specialties': 'specialties'
+    },
+    salesforce: {
+        'First Name': 'firstName',
+        'Last Name': 'lastName',
+        'Salutation': 'honorific',
+        'Email': 'email',
+        'Phone': 'phone',
+        'Title': 'title',
+        'Department': 'department',
+        'Account Name': 'university',
+        'Lead Source': 'sourceUrl',
+        'Description': 'titles'
+    }
+};
+
+// Every mapping field except the single-value forms of titles, phoneE164/phoneExtension and sourceUrls
+const CSV_COLUMNS = [
+    'name', 'firstName', 'middleName', 'lastName', 'honorific', 'suffix', 'credentials', 'titles', 'rank', 'roles',
+    'specialties', 'personType', 'email', 'emailConfidence', 'emailSource', 'phoneE164', 'phoneExtension', 'phoneRaw',
+    'university', 'department', 'discipline', 'profileLink', 'office', 'headshotUrl', 'bio', 'sourceUrls',
+    'sourceFrame', 'changeStatus', 'scrapedAt'
+];
+
+function formatPhone(person) {
+    if (!person.phone) return '';
+    return person.phoneExtension ? `${person.phone} ext. ${person.phoneExtension}` : person.phone;
+}
+
+// Scraped text starting with =, +, -, @ (or tab/CR) would run as a formula in spreadsheets and CRMs.
+// E.164 phone columns are the one place a leading "+" is expected.
+const PHONE_FIELDS = new Set(['phone', 'phoneE164']);
+const E164_VALUE = /^\+\d{8,15}( ext\. \d+)?$/;
+
+function csvCell(value, field = null) {
+    let text = value === undefined || value === null ? '' : String(value);
+    if (/^[=+\-@\t\r]/.test(text) && !(PHONE_FIELDS.has(field) && E164_VALUE.test(text))) {
+        text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// mapping: { "Column header": "fieldName" }
+export function toCsv(records, mapping) {
+    const columns = Object.entries(mapping);
+    for (const [, field] of columns) {
+        if (!FIELD_GETTERS[field]) throw new Error(`Unknown export field "${field}"`);
+    }
+
+    const lines = [columns.map(([header]) => csvCell(header)).join(',')];
+    for (const person of records) {
+        lines.push(columns.map(([, field]) => csvCell(FIELD_GETTERS[field](person), field)).join(','));
+    }
+    return `${lines.join('\r\n')}\r\n`;
+}
+
+function vcardEscape(value) {
+    return String(value || '')
+        .replace(/\\/g, '\\\\')
+        .replace(/\r?\n/g, '\\n')
+        .replace(/,/g, '\\,')
+        .replace(/;/g, '\\;');
+}
+
+// Lines longer than 75 octets continue on the next line after a single space (RFC 6350)
+function foldLine(line) {
+    const parts = [];
+    let rest = line;
+    while (Buffer.byteLength(rest) > 75) {
+        let cut = 75;
+        while (Buffer.byteLength(rest.slice(0, cut)) > 75) cut--;
+        parts.push(rest.slice(0, cut));
+        rest = ` ${rest.slice(cut)}`;
+    }
+    parts.push(rest);
+    return parts.join('\r\n');
+}
+
+export function toVCard(records) {
+    return records.map(person => {
+        const lines = [
+            'BEGIN:VCARD',
+            'VERSION:3.0',
+            `N:${[person.lastName, person.firstName, person.middleName, person.honorific, person.suffix].map(vcardEscape).join(';')}`,
+            `FN:${vcardEscape(person.name)}`,
+            `ORG:${[person.university, person.department].map(vcardEscape).join(';')}`
+        ];
+
+        if (person.titles?.length) lines.push(`TITLE:${vcardEscape(person.titles[0])}`);
+        if (person.email) lines.push(`EMAIL;TYPE=INTERNET,WORK:${vcardEscape(person.email)}`);
+        if (person.phone) {
+            // vCard 3.0 phone values are free text, so the extension is written the way people dial it
+            const extension = person.phoneExtension ? ` x${person.phoneExtension}` : '';
+            lines.push(`TEL;TYPE=WORK,VOICE:${person.phone}${extension}`);
+        }
+        if (person.office) lines.push(`ADR;TYPE=WORK:;${vcardEscape(person.office)};;;;;`);
+        if (person.profileLink) lines.push(`URL:${person.profileLink}`);
+        if (person.headshotUrl) lines.push(`PHOTO;VALUE=URI:${person.headshotUrl}`);
+        if (person.titles?.length > 1) lines.push(`NOTE:${vcardEscape(person.titles.join('\n'))}`);
+        lines.push('END:VCARD');
+
+        return lines.map(foldLine).join('\r\n');
+    }).join('\r\n') + '\r\n';
+}
+
+export const EXPORT_FORMATS = ['csv', 'vcard', 'hubspot', 'salesforce', 'crm'];
+
+export function validateExportOptions({ formats = [], crmFieldMapping = null } = {}) {
+    for (const format of formats) {
+        if (!EXPORT_FORMATS.includes(format)) {
+            throw new Error(`Unknown export format "${format}" (expected one of ${EXPORT_FORMATS.join(', ')})`);
+        }
+    }
+    if (formats.includes('crm') && (!crmFieldMapping || Object.keys(crmFieldMapping).length === 0)) {
+        throw new Error('The "crm" export format needs a crmFieldMapping');
+    }
+    for (const field of Object.values(crmFieldMapping || {})) {
+        if (!FIELD_GETTERS[field]) throw new Error(`Unknown export field "${field}" in crmFieldMapping`);
+    }
+}
+
+// Writes the requested formats to the default key-value store and returns the keys written
+export async function writeExports(records, { formats = [], minEmailConfidence = 0, crmFieldMapping = null } = {}) {
+    const selected = records.filter(person => (person.emailConfidence ?? 0) >= minEmailConfidence);
+    if (selected.length < records.length) {
+        log.info(`Export filter kept ${selected.length} of ${records.length} records (emailConfidence >= ${minEmailConfidence})`);
+    }
+
+    const files = [];
+    for (const format of formats) {
+        switch (format) {
+            case 'csv':
+                files.push({ key: 'faculty.csv', contentType: 'text/csv', value: toCsv(selected, Object.fromEntries(CSV_COLUMNS.map(column => [column, column]))) });
+                break;
+            case 'vcard':
+                files.push({ key: 'faculty.vcf', contentType: 'text/vcard', value: toVCard(selected) });
+                break;
+            case 'hubspot':
+            case 'salesforce':
+                files.push({ key: `${format}-contacts.csv`, contentType: 'text/csv', value: toCsv(selected, CRM_PRESETS[format]) });
+                break;
+            case 'crm':
+                files.push({ key: 'crm-contacts.csv', contentType: 'text/csv', value: toCsv(selected, crmFieldMapping) });
+                break;
+            default:
+                log.warning(`Skipping unknown export format "${format}"`);
+        }
+    }
+
+    for (const file of files) {
+        await Actor.setValue(file.key, file.value, { contentType: `${file.contentType}; charset=utf-8` });
+        log.info(`Exported ${selected.length} records to ${file.key}`);
+    }
+    return files.map(file => file.key);
+}
@@ -0,0 +1,77 @@
+// Embedded directories: child frames and open shadow roots that the top-level document queries cannot see
+
+import { siteOf } from './discovery.js';
+
+export const MAIN_FRAME = 'main';
+export const SHADOW_MIRROR_ATTRIBUTE = 'data-faculty-shadow';
+
+// allowedHosts: cross-origin hosts (and their subdomains) whose frames may be read, e.g. a central people-search app
+export function isAllowedFrameUrl(frameUrl, pageUrl, allowedHosts = []) {
+    let hostname;
+    try {
+        hostname = new URL(frameUrl).hostname.toLowerCase();
+    } catch (error) {
+        return false;
+    }
+    if (!hostname) return false;
+    if (siteOf(frameUrl) === siteOf(pageUrl)) return true;
+
+    return allowedHosts.some(entry => {
+        const host = String(entry).toLowerCase().trim().replace(/^\*?\./, '');
+        return host && (hostname === host || hostname.endsWith(`.${host}`));
+    });
+}
+
+// The main frame plus every attached child frame that is same-site or allowed; about:blank and srcdoc
+// frames that scripts fill in belong to their parent
+export function selectExtractionFrames(page, { allowedHosts = [] } = {}) {
+    const main = page.mainFrame();
+    const allowed = new Set([main]);
+    const frames = [{ frame: main, source: MAIN_FRAME }];
+    const skipped = [];
+
+    // page.frames() lists parents before their children
+    for (const frame of page.frames()) {
+        if (frame === main || frame.isDetached()) continue;
+
+        const url = frame.url();
+        const inherited = /^about:(blank|srcdoc)/i.test(url) && allowed.has(frame.parentFrame());
+        if (inherited || isAllowedFrameUrl(url, page.url(), allowedHosts)) {
+            allowed.add(frame);
+            frames.push({ frame, source: inherited ? `${frame.parentFrame().url()}#${frame.name() || 'srcdoc'}` : url });
+        } else if (!/^about:/i.test(url)) {
+            skipped.push(url);
+        }
+    }
+    return { frames, skipped };
+}
+
+// Runs inside the browser via frame.evaluate, so it must stay self-contained.
+// Copies the content of every open shadow root (nested ones included) into a hidden element inside its host,
+// so document-level selectors, recipes and the heuristic see it. Hosts do not render light children
+// that are not slotted, so the copies never show. Earlier copies are replaced on each call.
+export function mirrorShadowRootsInPage({ mirrorAttribute = 'data-faculty-shadow' } = {}) {
+    let mirrored = 0;
+
+    const visit = (root) => {
+        root.querySelectorAll(`[${mirrorAttribute}]`).forEach(element => element.remove());
+
+        for (const host of root.querySelectorAll('*')) {
+            if (!host.shadowRoot) continue;
+            // Nested roots first, so their copies are included in this one
+            visit(host.shadowRoot);
+
+            const mirror = document.createElement('div');
+            mirror.setAttribute(mirrorAttribute, '');
+            mirror.hidden = true;
+            for (const node of host.shadowRoot.childNodes) {
+                mirror.appendChild(node.cloneNode(true));
+            }
+            mirror.querySelectorAll('style, link, script:not([type="application/ld+json"])').forEach(element => element.remove());
+            host.appendChild(mirror);
+            mirrored++;
+        }
+    };
+    visit(document);
+    return mirrored;
+}
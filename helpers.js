@@ -1,31 +1,40 @@
 // Phase 1 Proven Helper Functions for Phase 2 Playwright Integration
 
+import { parseName, formatName, nameMatchParts, stripDiacritics } from './names.js';
+import { normalizePhone } from './phones.js';
+
 export function calculateEmailConfidence(name, email) {
     if (!name || !email || email.length < 5) return 0.1;
     
-    const nameParts = name.toLowerCase().split(' ').filter(part => part.length > 1);
-    if (nameParts.length < 2) return 0.3;
+    const { first: firstName, last: lastName, lastVariants } = nameMatchParts(name);
+    if (!firstName || !lastName) return 0.3;
     
-    const [firstName, lastName] = [nameParts[0], nameParts[nameParts.length - 1]];
-    const emailLocal = email.split('@')[0].toLowerCase();
+    const emailLocal = email.split('@')[0].toLowerCase().replace(/\d+$/, '');
     
-    // Perfect match: firstname.lastname
-    if (emailLocal === `${firstName}.${lastName}`) return 0.95;
+    // Perfect match: firstname.lastname (any surname variant, any common separator)
+    for (const last of lastVariants) {
+        if ([`${firstName}.${last}`, `${firstName}_${last}`, `${firstName}-${last}`].includes(emailLocal)) return 0.95;
+    }
     
     // Good match: firstname.lastinitial
     if (emailLocal === `${firstName}.${lastName[0]}`) return 0.85;
     
-    // Good match: firstinitial.lastname
-    if (emailLocal === `${firstName[0]}.${lastName}`) return 0.85;
+    // Good match: firstinitial.lastname, firstinitiallastname, firstnamelastname
+    for (const last of lastVariants) {
+        if (emailLocal === `${firstName[0]}.${last}`) return 0.85;
+        if (emailLocal === `${firstName[0]}${last}`) return 0.85;
+        if (emailLocal === `${firstName}${last}`) return 0.85;
+    }
     
     // Partial match: contains both names
-    if (emailLocal.includes(firstName) && emailLocal.includes(lastName)) return 0.75;
+    const hasLast = lastVariants.some(last => last.length > 1 && emailLocal.includes(last));
+    if (emailLocal.includes(firstName) && hasLast) return 0.75;
     
     // Partial match: contains first name
-    if (emailLocal.includes(firstName)) return 0.6;
+    if (firstName.length > 1 && emailLocal.includes(firstName)) return 0.6;
     
     // Partial match: contains last name  
-    if (emailLocal.includes(lastName)) return 0.5;
+    if (hasLast) return 0.5;
     
     // Generic department email
     return 0.1;
@@ -34,74 +43,45 @@ export function calculateEmailConfidence(name, email) {
 export function findProfileLink(name, profileLinks) {
     if (!name || !profileLinks.length) return '';
     
-    const nameParts = name.toLowerCase().split(' ');
-    const firstName = nameParts[0];
-    const lastName = nameParts[nameParts.length - 1];
+    const { first: firstName, lastVariants } = nameMatchParts(name);
+    const normalizedName = stripDiacritics(name).toLowerCase();
     
     // Direct name match in link text
-    const exactMatch = profileLinks.find(link => 
-        link.text.toLowerCase().includes(name.toLowerCase()) ||
-        name.toLowerCase().includes(link.text.toLowerCase())
-    );
+    const exactMatch = profileLinks.find(link => {
+        const text = stripDiacritics(link.text).toLowerCase();
+        return text.includes(normalizedName) || normalizedName.includes(text);
+    });
     if (exactMatch) return exactMatch.href;
     
+    if (!firstName || lastVariants.length === 0) return '';
+    
     // Name parts in URL
     const urlMatch = profileLinks.find(link => {
-        const url = link.href.toLowerCase();
-        return (url.includes(firstName) && url.includes(lastName)) ||
-               url.includes(`${firstName}-${lastName}`) ||
-               url.includes(`${lastName}-${firstName}`);
+        const url = stripDiacritics(decodeURIComponentSafe(link.href)).toLowerCase();
+        return lastVariants.some(lastName =>
+            (url.includes(firstName) && url.includes(lastName)) ||
+            url.includes(`${firstName}-${lastName}`) ||
+            url.includes(`${lastName}-${firstName}`)
+        );
     });
     if (urlMatch) return urlMatch.href;
     
     return '';
 }
 
-export function getUniversityName(url, pageTitle = '') {
-    // Extract from URL
-    const domain = new URL(url).hostname.toLowerCase();
-    
-    // Common university domain patterns
-    if (domain.includes('kansas')) return 'University of Kansas';
-    if (domain.includes('illinois')) return 'University of Illinois';
-    if (domain.includes('utah')) return 'University of Utah';
-    if (domain.includes('unf')) return 'University of North Florida';
-    
-    // Extract from page title
-    if (pageTitle.includes('University')) {
-        const match = pageTitle.match(/(.*?University[^|]*)/);
-        if (match) return match[1].trim();
+function decodeURIComponentSafe(text) {
+    try {
+        return decodeURIComponent(text);
+    } catch {
+        return text;
     }
-    
-    // Fallback to domain
-    return domain.replace(/^www\./, '').replace('.edu', '');
-}
-
-export function getDepartmentName(pageContent = '') {
-    const musicKeywords = [
-        'School of Music',
-        'College of Music', 
-        'Department of Music',
-        'Music Department',
-        'School of Fine Arts',
-        'College of Fine Arts'
-    ];
-    
-    for (const keyword of musicKeywords) {
-        if (pageContent.includes(keyword)) {
-            return keyword;
-        }
-    }
-    
-    return 'Music Department';
 }
 
 export function cleanName(name) {
     if (!name) return '';
     
-    return name
-        .replace(/Dr\.|Prof\.|Professor|Mr\.|Ms\.|Mrs\./gi, '')
-        .replace(/,\s*(Jr|Sr|III|II)\.?/gi, '')
+    // Drop honorifics, suffixes and credentials; restore "Last, First" order
+    return formatName(parseName(name))
         .replace(/\s+/g, ' ')
         .trim();
 }
@@ -130,3 +110,111 @@ export function cleanPhone(phone) {
         .replace(/[^\d\-\(\)\.\s\+]/g, '')
         .trim();
 }
+
+export function mergeProfileDetails(record, details = {}) {
+    const merged = {
+        ...record,
+        titles: [...(record.titles || [])],
+        fieldSources: { ...(record.fieldSources || {}) }
+    };
+    
+    // Email: fill when missing, replace when the profile email matches the name better
+    const profileEmail = cleanEmail(details.email);
+    if (profileEmail && profileEmail !== merged.email) {
+        const profileConfidence = calculateEmailConfidence(merged.name, profileEmail);
+        if (!merged.email || merged.emailSource === 'inferred' || profileConfidence > merged.emailConfidence) {
+            merged.email = profileEmail;
+            merged.emailConfidence = profileConfidence;
+            merged.emailSource = profileConfidence <= 0.5 ? 'generic' :
+                (details.emailTechnique ? `recovered-${details.emailTechnique}` : 'name-matched');
+            merged.fieldSources.email = 'profile';
+            delete merged.emailPattern;
+        }
+    }
+    
+    // Phone: directory value wins, profile fills the gap
+    const profilePhone = normalizePhone(details.phone, { mainNumber: details.mainNumber });
+    if (!merged.phone && profilePhone.phone) {
+        Object.assign(merged, profilePhone);
+        merged.fieldSources.phone = 'profile';
+    }
+    
+    // Titles: append profile titles not already listed
+    const knownTitles = new Set(merged.titles.map(title => title.toLowerCase()));
+    const hadTitles = merged.titles.length > 0;
+    let addedTitles = 0;
+    for (const title of (details.titles || []).map(cleanTitle)) {
+        if (title && !knownTitles.has(title.toLowerCase())) {
+            knownTitles.add(title.toLowerCase());
+            merged.titles.push(title);
+            addedTitles++;
+        }
+    }
+    if (addedTitles > 0) {
+        merged.fieldSources.titles = hadTitles ? 'directory+profile' : 'profile';
+    }
+    
+    // Profile-only fields
+    for (const field of ['office', 'bio', 'headshotUrl']) {
+        const value = (details[field] || '').trim();
+        if (value && !merged[field]) {
+            merged[field] = value;
+            merged.fieldSources[field] = 'profile';
+        }
+    }
+    
+    return merged;
+}
+
+// Regex source for a profile keyword ("c++", "fine arts"): special characters are escaped and
+// each run of whitespace matches the separator
+export function keywordSource(keyword, separator = '\\s+') {
+    return String(keyword).trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/\s+/g, separator);
+}
+
+const NON_NAME_WORDS = /\b(department|faculty|staff|directory|school|college|university|contact|office|professor of|director of|read more|view|profile|email|phone|home|about|news|events)\b/i;
+
+// nonNameWords: the discipline's department keywords ("Music", "Theatre") are page chrome, not names
+export function isPlausibleName(name, { nonNameWords = [] } = {}) {
+    if (!name || name.length < 4 || name.length > 60) return false;
+    if (/[\d@/|:]/.test(name)) return false;
+    if (NON_NAME_WORDS.test(name)) return false;
+    if (nonNameWords.some(word => new RegExp(`\\b${keywordSource(word)}\\b`, 'i').test(name))) return false;
+    
+    const parts = name.split(/\s+/).filter(part => part.length > 0);
+    if (parts.length < 2 || parts.length > 5) return false;
+    
+    // Most parts should be capitalized (allowing particles like "van" or "de")
+    const capitalized = parts.filter(part => /^\p{Lu}/u.test(part)).length;
+    return capitalized >= parts.length - 1;
+}
+
+export function scoreExtraction(records, { nonNameWords = [] } = {}) {
+    if (!records.length) {
+        return { score: 0, recordCount: 0, plausibleNames: 0, emailCoverage: 0, titleCoverage: 0, confidentShare: 0 };
+    }
+    
+    const count = records.length;
+    const share = (predicate) => records.filter(predicate).length / count;
+    
+    const plausibleNames = share(person => isPlausibleName(person.name, { nonNameWords }));
+    const emailCoverage = share(person => person.email);
+    const titleCoverage = share(person => person.titles?.length > 0);
+    const confidentShare = share(person => person.emailConfidence > 0.5);
+    const uniqueShare = new Set(records.map(person => person.name.toLowerCase())).size / count;
+    
+    // One or two hits are usually page chrome rather than a directory
+    const sizeFactor = Math.min(1, count / 5);
+    
+    const quality = 0.4 * plausibleNames + 0.2 * emailCoverage + 0.2 * titleCoverage + 0.2 * confidentShare;
+    const score = Math.round(quality * sizeFactor * uniqueShare * 1000) / 1000;
+    
+    return {
+        score,
+        recordCount: count,
+        plausibleNames: Math.round(plausibleNames * 100) / 100,
+        emailCoverage: Math.round(emailCoverage * 100) / 100,
+        titleCoverage: Math.round(titleCoverage * 100) / 100,
+        confidentShare: Math.round(confidentShare * 100) / 100
+    };
+}
@@ -0,0 +1,205 @@
+// Layout-agnostic extraction: find repeated sibling blocks that look like people and infer
+// which parts of each block hold the name, title and contact fields
+
+export const HEURISTIC_METHOD = 'heuristic';
+export const HEURISTIC_BLOCK_ATTRIBUTE = 'data-faculty-block';
+
+// Runs inside the browser via page.evaluate, so it must stay self-contained.
+// Chosen blocks are tagged with data-faculty-block so email recovery can find them again by index.
+// nonNamePatterns (the discipline's department keywords) and titlePatterns (its title words) extend the
+// built-in word lists; they are regex sources, escaped in Node with keywordSource.
+export function extractRepeatedBlocksInPage({
+    minBlocks = 3,
+    blockAttribute = 'data-faculty-block',
+    nonNamePatterns = [],
+    titlePatterns = []
+} = {}) {
+    const wordPattern = (words) => new RegExp(`\\b(${words.join('|')})\\b`, 'i');
+
+    const EMAIL = /[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}/i;
+    const PHONE = /(?:\+?1[\s.-]?)?\(?\d{3}\)?[\s.-]\d{3}[\s.-]\d{4}(?:\s*(?:ext\.?|x)\s*\d+)?/i;
+    const NON_NAME = wordPattern([
+        'faculty', 'staff', 'department', 'school', 'college', 'office', 'email', 'e-mail', 'phone', 'fax', 'more', 'read',
+        'view', 'profile', 'contact', 'directory', 'home', 'about', 'news', 'events', 'search', 'menu', 'login', 'apply',
+        'page', 'next', 'previous', ...nonNamePatterns
+    ]);
+    const TITLE_WORDS = wordPattern([
+        'professor', 'lecturer', 'instructor', 'director', 'chair', 'coordinator', 'dean', 'adjunct', 'emerit\\w*', 'artist',
+        'teacher', 'teaching', 'fellow', 'manager', 'specialist', 'administrator', 'advisor', 'assistant', 'associate',
+        'staff', 'librarian', 'technician', 'in residence', ...titlePatterns
+    ]);
+
+    const text = (element) => (element?.textContent || '').replace(/\s+/g, ' ').trim();
+    const looksLikeName = (value) => {
+        if (!value || value.length < 4 || value.length > 60 || /[\d@|:/]/.test(value) || NON_NAME.test(value)) return false;
+        const parts = value.replace(/,/g, ' ').split(/\s+/).filter(Boolean);
+        if (parts.length < 2 || parts.length > 5) return false;
+        return parts.filter(part => /^\p{Lu}/u.test(part)).length >= parts.length - 1;
+    };
+    const signature = (element) => {
+        const classes = Array.from(element.classList).filter(name => !/\d/.test(name)).sort().slice(0, 2);
+        return [element.tagName.toLowerCase(), ...classes].join('.');
+    };
+    const SKIPPED = 'script, style, noscript, template, svg, nav, header, footer, head';
+
+    // Text-bearing leaves of a block with a path relative to the block, so the same slot
+    // can be compared across blocks
+    const leaves = (block) => {
+        const result = [];
+        const walk = (element, path) => {
+            if (element.matches(SKIPPED)) return;
+            const children = Array.from(element.children).filter(child => child.tagName !== 'BR');
+            const ownText = Array.from(element.childNodes)
+                .filter(node => node.nodeType === Node.TEXT_NODE)
+                .map(node => node.textContent)
+                .join(' ')
+                .replace(/\s+/g, ' ')
+                .trim();
+            if (children.length === 0 || /^(a|h[1-6])$/i.test(element.tagName)) {
+                const value = text(element);
+                if (value) result.push({ element, path, value });
+                return;
+            }
+
+            // Mixed content ("<strong>Name</strong>, Title<br>Phone: ...") splits into its text runs too
+            const counts = {};
+            for (const node of element.childNodes) {
+                if (node.nodeType === Node.TEXT_NODE && ownText) {
+                    const value = node.textContent.replace(/\s+/g, ' ').replace(/^[\s,;|–-]+|[\s,;|–-]+$/g, '');
+                    counts['#text'] = (counts['#text'] || 0) + 1;
+                    if (value) result.push({ element, path: `${path}>#text:${counts['#text']}`, value });
+                } else if (node.nodeType === Node.ELEMENT_NODE && node.tagName !== 'BR') {
+                    const key = signature(node);
+                    counts[key] = (counts[key] || 0) + 1;
+                    walk(node, `${path}>${key}:${counts[key]}`);
+                }
+            }
+        };
+        walk(block, '');
+        return result;
+    };
+
+    const blockSignals = (block) => {
+        const value = text(block);
+        return {
+            name: leaves(block).some(leaf => looksLikeName(leaf.value)),
+            email: Boolean(block.querySelector('a[href^="mailto:" i]')) || EMAIL.test(value),
+            phone: Boolean(block.querySelector('a[href^="tel:" i]')) || PHONE.test(value),
+            link: Boolean(block.querySelector('a[href]:not([href^="mailto:" i]):not([href^="tel:" i])')),
+            size: value.length
+        };
+    };
+
+    // Group element children by signature; identical groups under sibling parents
+    // (e.g. one list per instrument area) are pooled
+    const groups = new Map();
+    for (const parent of document.body.querySelectorAll('*')) {
+        if (parent.children.length < 2 || parent.closest(SKIPPED)) continue;
+
+        const bySignature = new Map();
+        for (const child of parent.children) {
+            if (child.matches(SKIPPED)) continue;
+            const key = signature(child);
+            if (!bySignature.has(key)) bySignature.set(key, []);
+            bySignature.get(key).push(child);
+        }
+        for (const [childKey, children] of bySignature) {
+            if (children.length < 2) continue;
+            const key = `${signature(parent)}>${childKey}`;
+            if (!groups.has(key)) groups.set(key, []);
+            groups.get(key).push(...children);
+        }
+    }
+
+    let best = null;
+    for (const [key, blocks] of groups) {
+        if (blocks.length < minBlocks || blocks.length > 2000) continue;
+
+        const signals = blocks.map(blockSignals);
+        const named = signals.filter(signal => signal.name);
+        if (named.length < minBlocks) continue;
+
+        // Blocks are people cards when most have a name and some contact detail; huge blocks are page sections
+        const nameShare = named.length / blocks.length;
+        const contactShare = named.filter(signal => signal.email || signal.phone || signal.link).length / named.length;
+        const averageSize = named.reduce((sum, signal) => sum + signal.size, 0) / named.length;
+        if (averageSize > 1500) continue;
+
+        const score = named.length * nameShare * (0.5 + contactShare) *
+            (1 + 0.5 * named.filter(signal => signal.email).length / named.length);
+        if (!best || score > best.score) best = { key, blocks, score };
+    }
+    if (!best) return { container: null, fields: {}, records: [] };
+
+    // Slot statistics across blocks: which relative path holds names, titles, etc.
+    const blockLeaves = best.blocks.map(leaves);
+    const slots = new Map();
+    blockLeaves.forEach(list => {
+        for (const leaf of list) {
+            if (!slots.has(leaf.path)) slots.set(leaf.path, { path: leaf.path, count: 0, names: 0, titles: 0, contact: 0, order: slots.size });
+            const slot = slots.get(leaf.path);
+            slot.count++;
+            if (looksLikeName(leaf.value)) slot.names++;
+            if (TITLE_WORDS.test(leaf.value) && leaf.value.length < 150) slot.titles++;
+            if (EMAIL.test(leaf.value) || PHONE.test(leaf.value)) slot.contact++;
+        }
+    });
+    const ranked = (field) => Array.from(slots.values())
+        .filter(slot => slot[field] > 0)
+        .sort((a, b) => (b[field] - a[field]) || (a.order - b.order));
+
+    const nameSlot = ranked('names')[0] || null;
+    const titleSlot = ranked('titles').find(slot => slot !== nameSlot && slot.contact < slot.count / 2) || null;
+
+    // Tags from an earlier page state (letter tabs, "Load more") would shift the indices
+    document.querySelectorAll(`[${blockAttribute}]`).forEach(element => element.removeAttribute(blockAttribute));
+    best.blocks.forEach((block, index) => block.setAttribute(blockAttribute, String(index)));
+
+    const records = best.blocks.map((block, containerIndex) => {
+        const list = blockLeaves[containerIndex];
+        const nameLeaf = list.find(leaf => leaf.path === nameSlot?.path && looksLikeName(leaf.value)) ||
+            list.find(leaf => looksLikeName(leaf.value));
+        if (!nameLeaf) return null;
+
+        const titleLeaf = list.find(leaf => leaf.path === titleSlot?.path && leaf !== nameLeaf) ||
+            list.find(leaf => leaf !== nameLeaf && TITLE_WORDS.test(leaf.value) && leaf.value.length < 150 && !EMAIL.test(leaf.value));
+
+        const mailto = block.querySelector('a[href^="mailto:" i]');
+        const email = mailto
+            ? mailto.getAttribute('href').replace(/^mailto:/i, '').split('?')[0]
+            : (text(block).match(EMAIL) || [''])[0];
+
+        // Prefer tel: links, then the first number that is not labelled as a fax
+        const tel = block.querySelector('a[href^="tel:" i]');
+        let phone = tel ? tel.getAttribute('href').replace(/^tel:/i, '') : '';
+        for (const leaf of list) {
+            if (phone) break;
+            for (const match of leaf.value.matchAll(new RegExp(PHONE.source, 'gi'))) {
+                if (!/\bfax\W*$/i.test(leaf.value.slice(Math.max(0, match.index - 12), match.index))) {
+                    phone = match[0];
+                    break;
+                }
+            }
+        }
+
+        const nameLink = nameLeaf.element.closest('a[href]') || nameLeaf.element.querySelector('a[href]');
+        const otherLink = Array.from(block.querySelectorAll('a[href]'))
+            .find(link => /^https?:/i.test(link.href) && !/^(mailto|tel):/i.test(link.getAttribute('href')) &&
+                new URL(link.href).hostname === location.hostname);
+
+        return {
+            name: nameLeaf.value,
+            title: titleLeaf ? titleLeaf.value : '',
+            email,
+            phone,
+            profileLink: (nameLink && block.contains(nameLink) ? nameLink.href : '') || otherLink?.href || '',
+            containerIndex
+        };
+    }).filter(Boolean);
+
+    return {
+        container: best.key,
+        fields: { name: nameSlot?.path || null, title: titleSlot?.path || null },
+        records
+    };
+}
@@ -0,0 +1,293 @@
+// Institution and department resolution: bundled .edu domain table plus page metadata,
+// each result carrying a confidence and the source it came from
+
+import { readFile } from 'node:fs/promises';
+import { getDomain } from 'tldts';
+import { keywordSource } from './helpers.js';
+import { parseJsonLd, walkJsonLd } from './jsonld.js';
+
+const DOMAIN_TABLE_FILE = new URL('./data/edu-domains.json', import.meta.url);
+
+const INSTITUTION_WORDS = 'University|College|Institute|Conservatory|Academy|Polytechnic';
+const INSTITUTION_PATTERN = new RegExp(
+    `((?:[A-Z][\\w.&'-]*\\s+)*(?:${INSTITUTION_WORDS})(?:\\s+(?:of|at|for|in)(?:\\s+the)?(?:\\s+[A-Z][\\w.&'-]*)+)*)`
+);
+const UNIT_PATTERN = /\b(school|college|department|dept\.?|division|conservatory|institute|academy|program|area)\b|\bfaculty of\b/i;
+const SEGMENT_SEPARATOR = /\s+[|–—:·•»›>/]\s+|\s+-\s+/;
+
+// Source → base confidence
+const INSTITUTION_CONFIDENCE = {
+    'domain-table': 0.95,
+    'json-ld': 0.9,
+    'og:site_name': 0.8,
+    'copyright': 0.75,
+    'logo-alt': 0.7,
+    'title': 0.55,
+    'domain': 0.2
+};
+const DEPARTMENT_CONFIDENCE = {
+    'json-ld': 0.9,
+    'breadcrumb': 0.85,
+    'og:site_name': 0.8,
+    'site-name': 0.8,
+    'heading': 0.75,
+    'title': 0.6,
+    'page-text': 0.4,
+    'default': 0.1
+};
+const PARENT_UNIT_FACTOR = 0.7;
+
+let domainTable = null;
+
+export async function loadDomainTable() {
+    if (!domainTable) {
+        domainTable = JSON.parse(await readFile(DOMAIN_TABLE_FILE, 'utf8'));
+    }
+    return domainTable;
+}
+
+// Longest matching suffix wins, so "peabody.jhu.edu" beats "jhu.edu"
+export function lookupDomain(hostname, table) {
+    const labels = hostname.toLowerCase().replace(/^www\./, '').split('.');
+    for (let start = 0; start < labels.length - 1; start++) {
+        const candidate = labels.slice(start).join('.');
+        if (table[candidate]) return table[candidate];
+    }
+    return null;
+}
+
+// Runs inside the browser via page.evaluate, so it must stay self-contained
+export function collectInstitutionEvidenceInPage() {
+    const text = (element) => (element?.textContent || '').replace(/\s+/g, ' ').trim();
+    const meta = (selector) => document.querySelector(selector)?.getAttribute('content')?.trim() || '';
+
+    const jsonLdScripts = Array.from(document.querySelectorAll('script[type="application/ld+json"]'), script => script.textContent);
+
+    const breadcrumbs = [];
+    const trail = document.querySelector('nav[aria-label*="breadcrumb" i], .breadcrumb, .breadcrumbs, [class*="breadcrumb"], #breadcrumb, #breadcrumbs');
+    if (trail) {
+        const items = trail.querySelectorAll('li, a, span');
+        for (const item of items) {
+            const value = text(item);
+            if (value && value.length < 100 && !breadcrumbs.includes(value)) breadcrumbs.push(value);
+        }
+    }
+
+    const footer = document.querySelector('footer, #footer, .footer, [role="contentinfo"]');
+    const footerText = footer ? text(footer) : text(document.body).slice(-2000);
+    const copyright = [];
+    for (const match of footerText.matchAll(/(?:©|&copy;|\(c\)|copyright)\s*(?:\d{4}(?:\s*[-–]\s*\d{4})?)?\s*,?\s*([^.|©]{3,120})/gi)) {
+        copyright.push(match[1].trim());
+    }
+
+    const logoAlts = [];
+    for (const image of document.querySelectorAll('header img[alt], .logo img[alt], img[class*="logo" i][alt], a[class*="logo" i] img[alt], img[src*="logo" i][alt], [class*="brand" i] img[alt]')) {
+        const alt = image.getAttribute('alt').trim();
+        if (alt && !logoAlts.includes(alt)) logoAlts.push(alt);
+    }
+    for (const link of document.querySelectorAll('a[class*="logo" i][aria-label], a[class*="brand" i][aria-label]')) {
+        const label = link.getAttribute('aria-label').trim();
+        if (label && !logoAlts.includes(label)) logoAlts.push(label);
+    }
+
+    const siteNames = [];
+    for (const element of document.querySelectorAll('.site-name, .site-title, .department-name, .school-name, .unit-name, .site-branding, #site-name')) {
+        const value = text(element);
+        if (value && value.length < 120) siteNames.push(value);
+    }
+
+    const headings = [];
+    for (const element of document.querySelectorAll('h1, h2, .page-title, .section-title')) {
+        const value = text(element);
+        if (value && value.length < 120) headings.push(value);
+        if (headings.length >= 10) break;
+    }
+
+    return {
+        title: document.title || '',
+        ogSiteName: meta('meta[property="og:site_name"]'),
+        applicationName: meta('meta[name="application-name"]'),
+        jsonLdScripts,
+        breadcrumbs,
+        copyright,
+        logoAlts,
+        siteNames,
+        headings,
+        bodyText: text(document.body).slice(0, 20000)
+    };
+}
+
+const ORGANIZATION_KEYS = new Set(['@graph', 'parentOrganization', 'department', 'subOrganization', 'publisher', 'provider', 'isPartOf', 'about']);
+
+// Typed JSON-LD nodes along the organization links, with breadcrumb trails as item names
+function jsonLdEntries(scripts) {
+    const entries = [];
+    walkJsonLd(parseJsonLd(scripts), (node) => {
+        const types = [].concat(node['@type'] || []);
+        if (types.length === 0) return;
+
+        const entry = { types, name: typeof node.name === 'string' ? node.name.trim() : '' };
+        if (types.includes('BreadcrumbList')) {
+            entry.items = [].concat(node.itemListElement || [])
+                .map(item => item?.name || item?.item?.name || '')
+                .filter(name => typeof name === 'string' && name);
+        }
+        entries.push(entry);
+    }, { follow: key => ORGANIZATION_KEYS.has(key) });
+    return entries;
+}
+
+function normalizeInstitution(name) {
+    return name.toLowerCase().replace(/^the\s+/, '').replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+function splitSegments(value) {
+    return (value || '').split(SEGMENT_SEPARATOR).map(segment => segment.trim()).filter(Boolean);
+}
+
+// "College of Music" on its own is a unit; "Berklee College of Music" is an institution
+function looksLikeUnit(name, keywords) {
+    const lower = name.toLowerCase();
+    if (/^(the\s+)?(school|college|department|division|faculty|conservatory)\s+of\b/.test(lower)) return true;
+    return keywords.some(keyword => new RegExp(`^${keywordSource(keyword)}\\s+(department|dept\\.?|program|division)\\b`, 'i').test(name));
+}
+
+// Pull "University of X" out of free text such as "© 2024 The Board of Regents of the University of X"
+export function extractInstitutionName(value, { unitKeywords = [] } = {}) {
+    for (const segment of splitSegments(value)) {
+        const match = segment.match(INSTITUTION_PATTERN);
+        if (!match) continue;
+
+        // "University of Utah School of Music" → "University of Utah"
+        const head = match[1].match(new RegExp(`^.*?\\b(?:${INSTITUTION_WORDS})\\b`))[0];
+        const name = (head + match[1].slice(head.length)
+            .replace(/\s+(School|College|Department|Division|Faculty|Conservatory|Institute)\b.*$/, ''))
+            .replace(/\s+(All|Rights|Reserved|Privacy|Contact)\b.*$/i, '')
+            .replace(/[\s.,;]+$/, '');
+        if (name.split(/\s+/).length < 2 || looksLikeUnit(name, unitKeywords)) continue;
+        return name;
+    }
+    return '';
+}
+
+// unitKeywords: the discipline's department keywords, so "Berklee College of Music" counts as an
+// institution while a bare "College of Music" does not
+export function resolveInstitution(url, evidence = {}, table = {}, { unitKeywords = [] } = {}) {
+    const hostname = new URL(url).hostname.toLowerCase();
+    const candidates = [];
+    const add = (name, source, confidence = INSTITUTION_CONFIDENCE[source]) => {
+        if (name) candidates.push({ name, source, confidence });
+    };
+    const extract = (value) => extractInstitutionName(value, { unitKeywords });
+
+    add(lookupDomain(hostname, table), 'domain-table');
+
+    for (const entry of jsonLdEntries(evidence.jsonLdScripts)) {
+        if (entry.types.includes('CollegeOrUniversity')) {
+            add(entry.name, 'json-ld');
+        } else if (entry.types.some(type => /Organization$/.test(type))) {
+            add(extract(entry.name), 'json-ld', INSTITUTION_CONFIDENCE['json-ld'] - 0.1);
+        }
+    }
+
+    add(extract(evidence.ogSiteName), 'og:site_name');
+    add(extract(evidence.applicationName), 'og:site_name', INSTITUTION_CONFIDENCE['og:site_name'] - 0.1);
+    for (const notice of evidence.copyright || []) add(extract(notice), 'copyright');
+    for (const alt of evidence.logoAlts || []) add(extract(alt.replace(/\s+logo$/i, '')), 'logo-alt');
+    add(extract(evidence.title), 'title');
+
+    // The registrable domain ("ox.ac.uk", never "ac") keeps unrelated schools apart in dedupe and snapshots
+    if (candidates.length === 0) {
+        return {
+            name: getDomain(hostname, { allowPrivateDomains: true }) || hostname,
+            confidence: INSTITUTION_CONFIDENCE.domain,
+            source: 'domain'
+        };
+    }
+
+    // Independent sources naming the same institution raise confidence
+    const groups = new Map();
+    for (const candidate of candidates) {
+        const key = normalizeInstitution(candidate.name);
+        const group = groups.get(key) || { best: candidate, sources: new Set() };
+        if (candidate.confidence > group.best.confidence) group.best = candidate;
+        group.sources.add(candidate.source);
+        groups.set(key, group);
+    }
+
+    let winner = null;
+    for (const group of groups.values()) {
+        const confidence = Math.min(0.99, group.best.confidence + 0.05 * (group.sources.size - 1));
+        if (!winner || confidence > winner.confidence) {
+            winner = { name: group.best.name, confidence: Math.round(confidence * 100) / 100, source: group.best.source };
+        }
+    }
+    return winner;
+}
+
+function keywordPattern(keyword) {
+    return new RegExp(`\\b${keywordSource(keyword)}\\b`, 'i');
+}
+
+// A department candidate names an academic unit and one of the discipline keywords
+function matchUnit(value, keywords) {
+    for (const segment of splitSegments(value)) {
+        if (segment.length > 90) continue;
+        if (!keywords.some(keyword => keywordPattern(keyword).test(segment))) continue;
+
+        const unit = segment.match(/(?:(?:[A-Z][\w.&'-]*\s+)*?)(?:School|College|Department|Dept\.?|Division|Conservatory|Institute|Academy|Faculty)\s+of\s+(?:the\s+)?[^,|]+/);
+        if (unit && keywords.some(keyword => keywordPattern(keyword).test(unit[0]))) {
+            return unit[0].replace(/\s+(faculty|staff|directory|people)\b.*$/i, '').trim();
+        }
+        if (UNIT_PATTERN.test(segment)) {
+            return segment.replace(/^(welcome to|about)\s+(the\s+)?/i, '').trim();
+        }
+    }
+    return '';
+}
+
+// keywords come from the discipline profile; parentKeywords are the broader units a department
+// often sits under (e.g. "fine arts") and only count with lower confidence
+export function resolveDepartment(evidence = {}, { keywords = [], parentKeywords = [], defaultName = 'Department' } = {}) {
+    const jsonLd = jsonLdEntries(evidence.jsonLdScripts);
+    const breadcrumbItems = [
+        ...jsonLd.filter(entry => entry.items).flatMap(entry => entry.items),
+        ...(evidence.breadcrumbs || [])
+    ];
+    const departmentEntries = jsonLd
+        .filter(entry => entry.name && entry.types.some(type => /Organization$|Department/.test(type)))
+        .map(entry => entry.name);
+
+    // Most specific evidence first; later crumbs are deeper in the site
+    const sources = [
+        ['json-ld', departmentEntries],
+        ['breadcrumb', [...breadcrumbItems].reverse()],
+        ['og:site_name', [evidence.ogSiteName]],
+        ['site-name', evidence.siteNames || []],
+        ['heading', evidence.headings || []],
+        ['title', [evidence.title]]
+    ];
+
+    for (const [unitKeywords, factor] of [[keywords, 1], [parentKeywords, PARENT_UNIT_FACTOR]]) {
+        if (!unitKeywords?.length) continue;
+
+        for (const [source, values] of sources) {
+            for (const value of values) {
+                const name = matchUnit(value, unitKeywords);
+                if (name) {
+                    return { name, confidence: Math.round(DEPARTMENT_CONFIDENCE[source] * factor * 100) / 100, source };
+                }
+            }
+        }
+
+        const mention = (evidence.bodyText || '').match(new RegExp(
+            `(?:School|College|Department|Division|Conservatory)\\s+of\\s+(?:the\\s+)?(?:${unitKeywords.map(keyword => keywordPattern(keyword).source).join('|')})`, 'i'
+        ));
+        if (mention) {
+            const name = mention[0].replace(/\s+/g, ' ').replace(/\b(?!of\b|the\b)[a-z]/g, letter => letter.toUpperCase());
+            return { name, confidence: Math.round(DEPARTMENT_CONFIDENCE['page-text'] * factor * 100) / 100, source: 'page-text' };
+        }
+    }
+
+    return { name: defaultName, confidence: DEPARTMENT_CONFIDENCE.default, source: 'default' };
+}
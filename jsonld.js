@@ -0,0 +1,36 @@
+// JSON-LD blocks are read as raw text in the page and parsed and walked here, shared by
+// structured data extraction and institution detection
+
+// Runs inside the browser via page.evaluate, so it must stay self-contained
+export function collectJsonLdInPage() {
+    return Array.from(document.querySelectorAll('script[type="application/ld+json"]'), script => script.textContent);
+}
+
+export function parseJsonLd(scripts = []) {
+    const roots = [];
+    for (const script of scripts) {
+        try {
+            roots.push(JSON.parse(script));
+        } catch (error) {
+            // Malformed JSON-LD is common; ignore it
+        }
+    }
+    return roots;
+}
+
+// Calls visit(node) for every object node, depth first; follow(key) decides which properties are descended into
+export function walkJsonLd(roots, visit, { follow = () => true, maxDepth = 8 } = {}) {
+    const walk = (node, depth) => {
+        if (!node || typeof node !== 'object' || depth > maxDepth) return;
+        if (Array.isArray(node)) {
+            node.forEach(child => walk(child, depth + 1));
+            return;
+        }
+
+        visit(node);
+        for (const [key, value] of Object.entries(node)) {
+            if (value && typeof value === 'object' && follow(key)) walk(value, depth + 1);
+        }
+    };
+    walk(roots, -1);
+}
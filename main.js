@@ -5,13 +5,31 @@ import { PlaywrightCrawler, log } from 'crawlee';
 import { 
     calculateEmailConfidence,
     findProfileLink,
-    getUniversityName,
-    getDepartmentName,
     cleanName,
     cleanTitle,
     cleanEmail,
-    cleanPhone
+    mergeProfileDetails,
+    scoreExtraction,
+    keywordSource
 } from './helpers.js';
+import { loadRecipes, findMatchingRecipe, runRecipeInPage, resolveRecipe } from './recipes.js';
+import { collectEmailEvidenceInPage, recoverEmail, EmailPatternLearner } from './emails.js';
+import { FacultyDeduplicator } from './dedupe.js';
+import { parseName } from './names.js';
+import { classifyTitles } from './titles.js';
+import { normalizePhone, inferMainNumber } from './phones.js';
+import { LoginManager } from './auth.js';
+import { ChangeTracker } from './changes.js';
+import { validateExportOptions, writeExports } from './exports.js';
+import { PageRecorder, PageReplayer, DEFAULT_SNAPSHOT_STORE } from './snapshots.js';
+import { RunReport } from './reports.js';
+import { extractStructuredPeopleInPage, findJsonLdPersons, STRUCTURED_METHOD } from './structured.js';
+import { collectJsonLdInPage } from './jsonld.js';
+import { extractRepeatedBlocksInPage, HEURISTIC_METHOD, HEURISTIC_BLOCK_ATTRIBUTE } from './heuristic.js';
+import { loadDomainTable, collectInstitutionEvidenceInPage, resolveInstitution, resolveDepartment } from './institutions.js';
+import { loadDisciplineProfile, DEFAULT_DISCIPLINE } from './disciplines.js';
+import { toDiscoveryUrl, collectLinksInPage, readSitemapUrls, rankCandidates, chooseCandidates } from './discovery.js';
+import { selectExtractionFrames, mirrorShadowRootsInPage, MAIN_FRAME, SHADOW_MIRROR_ATTRIBUTE } from './frames.js';
 
 await Actor.init();
 
@@ -20,37 +38,95 @@ const {
     startUrls = [],
     maxRequestsPerCrawl = 100,
     headless = true,
-    extractionMethod = 'auto', // 'auto', 'kansas', 'illinois', 'utah', 'tabular'
+    extractionMethod = 'auto', // 'auto', 'structured', 'heuristic' or a recipe name: 'kansas', 'illinois', 'utah', 'tabular', ...
     enableAuth = false,
-    authCredentials = {}
+    authCredentials = {},
+    authConfig = {}, // loginUrl, selectors, steps, successSelector, successUrlPattern; see README.md
+    followProfileLinks = false, // Visit each profileLink and merge profile-page details
+    maxPages = 20, // Upper bound on pager pages, letter tabs, "Load more" clicks and scrolls per URL
+    recipes: inputRecipes = [], // Extra site recipes, see README.md
+    inferMissingEmails = true, // Guess empty emails from the institution's dominant address pattern
+    deduplicate = true, // Merge duplicate people across pages and emit them once at the end
+    dedupAcrossRuns = false, // Also merge with people seen in earlier runs (named key-value store)
+    excludePersonTypes = [], // Drop records classified as e.g. 'staff', 'student' or 'unknown'
+    changeDetection = false, // Diff against the previous run's snapshot and tag added/changed/removed people
+    pushOnlyChanges = false, // With changeDetection, push change events to the dataset instead of records
+    exportFormats = [], // 'csv', 'vcard', 'hubspot', 'salesforce', 'crm' files in the key-value store
+    exportMinEmailConfidence = 0, // Only export records at or above this emailConfidence
+    crmFieldMapping = null, // { "Column header": "field" } for the 'crm' export format
+    captureSnapshots = false, // Save rendered HTML and network responses of every processed page
+    replay = false, // Run extraction offline against previously captured pages
+    snapshotStore = DEFAULT_SNAPSHOT_STORE, // Named key-value store holding the captures
+    qualityThresholds = {}, // { minRecords, minEmailCoverage, minTitleCoverage, maxFailedUrls } for the OUTPUT report
+    failOnQualityThresholds = false, // Fail the run (non-zero exit) when the report's status is "failed"
+    discover = false, // Treat startUrls as university domains/home pages and find the faculty directory
+    discoveryMaxDirectories = 1, // Directory URLs to extract per start URL
+    discoveryMinScore = 5, // Minimum candidate score for a discovered directory URL
+    discipline = DEFAULT_DISCIPLINE, // 'music', 'theatre', 'dance', 'visual-arts', 'art-history' or a profile object
+    frameAllowlist = [] // Cross-origin iframe hosts to extract from (same-site iframes always are)
 } = input;
 
+validateExportOptions({ formats: exportFormats, crmFieldMapping });
+
+const DEDUP_STORE_NAME = 'faculty-dedup';
+
+const recipes = await loadRecipes(inputRecipes);
+log.info(`Loaded ${recipes.length} site recipes: ${recipes.map(recipe => recipe.name).join(', ')}`);
+
+// Department keywords and title vocabulary for the vertical being scraped
+const disciplineProfile = await loadDisciplineProfile(discipline);
+log.info(`Discipline: ${disciplineProfile.label} (${disciplineProfile.departmentKeywords.join(', ')})`);
+
+// .edu domain → institution name, the strongest institution signal
+const domainTable = await loadDomainTable();
+
+// A single Person in structured data is usually the page's author or contact, not a directory
+const MIN_STRUCTURED_RECORDS = 2;
+
 // Enhanced extraction methods adapted for Playwright
 class PlaywrightFacultyExtractor {
-    constructor(page) {
+    constructor(page, options = {}) {
         this.page = page;
+        this.recipes = options.recipes || [];
+        this.maxPages = options.maxPages ?? 20;
+        this.onPageLoaded = options.onPageLoaded || null;
+        this.domainTable = options.domainTable || {};
+        this.discipline = options.discipline || null;
+        this.allowedFrameHosts = options.allowedFrameHosts || [];
+        // Frame the extraction methods query; extractFromFrames points it at each embedded directory in turn
+        this.frame = page.mainFrame();
+        this.frameSource = MAIN_FRAME;
+        this.institution = null;
+        this.department = null;
         this.universityName = null;
         this.departmentName = null;
+        this.mainNumber = '';
         this.profileLinks = [];
+        // Set when maxPages cut the walk short, so the directory may be incomplete
+        this.reachedMaxPages = false;
     }
 
     async initialize(url) {
         // Wait for page to fully load
         await this.page.waitForLoadState('networkidle');
+        await this.onPageLoaded?.();
         
         // Extract university and department info
-        this.universityName = await this.getUniversityName(url);
-        this.departmentName = await this.getDepartmentName();
+        await this.resolveAffiliation(url);
         
         // Pre-extract all profile links for matching
         this.profileLinks = await this.extractAllProfileLinks();
         
-        log.info(`Initialized for ${this.universityName} - ${this.departmentName}`);
+        // Department main number, used to expand campus short-dial extensions
+        this.mainNumber = inferMainNumber(await this.page.evaluate(() => document.body.innerText));
+        
+        log.info(`Initialized for ${this.universityName} (${this.institution.source}, ${this.institution.confidence}) - ` +
+            `${this.departmentName} (${this.department.source}, ${this.department.confidence})`);
         log.info(`Found ${this.profileLinks.length} profile links`);
     }
 
     async extractAllProfileLinks() {
-        const links = await this.page.$$eval('a[href*="/people/"], a[href*="/faculty/"], a[href*="/staff/"], a[href*="profile"], a[href*="bio"]', 
+        const links = await this.frame.$$eval('a[href*="/people/"], a[href*="/faculty/"], a[href*="/staff/"], a[href*="profile"], a[href*="bio"]', 
             links => links.map(link => ({
                 href: link.href,
                 text: link.textContent.trim(),
@@ -60,184 +136,487 @@ class PlaywrightFacultyExtractor {
         return links.filter(link => link.text && link.text.length > 3);
     }
 
-    // Method 1: Kansas-style (.views-row structure)
-    async extractKansasStyle() {
-        log.info('Attempting Kansas-style extraction...');
+    // Recipe-driven extraction (built-in kansas/illinois/utah/tabular plus custom recipes)
+    async extractWithRecipe(recipe, { wait = true } = {}) {
+        log.info(`Attempting ${recipe.name} recipe extraction...`);
         
-        const faculty = await this.page.$$eval('.views-row', (rows) => {
-            return rows.map(row => {
-                const nameElement = row.querySelector('.views-field-title a, .views-field-field-person-name a, h3 a, h2 a');
-                const titleElement = row.querySelector('.views-field-field-person-title, .field-person-title, .person-title');
-                const emailElement = row.querySelector('a[href^="mailto:"]');
-                const phoneElement = row.querySelector('.views-field-field-person-phone, .field-person-phone');
-                
-                return {
-                    name: nameElement?.textContent.trim() || '',
-                    title: titleElement?.textContent.trim() || '',
-                    email: emailElement?.href.replace('mailto:', '') || '',
-                    phone: phoneElement?.textContent.trim() || '',
-                    profileLink: nameElement?.href || ''
-                };
-            }).filter(person => person.name);
+        // Wait for any dynamic content to load (skipped when auto-detection runs every recipe)
+        if (wait && recipe.waitFor?.selector) {
+            await this.frame.waitForSelector(recipe.waitFor.selector,
+                { timeout: recipe.waitFor.timeout ?? 5000 }).catch(() => {});
+        }
+        
+        const faculty = await this.frame.evaluate(runRecipeInPage, resolveRecipe(recipe, { titleWords: this.discipline?.titleWords }));
+        log.debug(`Raw faculty found by ${recipe.name} recipe: ${faculty.length}`);
+        
+        await this.recoverMissingEmails(faculty, recipe.container);
+
+        return this.processFacultyData(faculty, recipe.name);
+    }
+
+    // schema.org Person entries (JSON-LD, microdata) and hCard markup, no selectors involved
+    async extractStructured() {
+        log.info('Attempting structured data extraction...');
+        
+        const jsonLdPersons = findJsonLdPersons(await this.frame.evaluate(collectJsonLdInPage));
+        const faculty = await this.frame.evaluate(extractStructuredPeopleInPage, { jsonLdPersons });
+        log.debug(`Raw faculty found in structured data: ${faculty.length}`);
+        
+        return this.processFacultyData(faculty, STRUCTURED_METHOD);
+    }
+
+    // Repeated sibling blocks with person-like content, for layouts no recipe knows
+    async extractHeuristic() {
+        log.info('Attempting repeated-block heuristic extraction...');
+        
+        const { container, fields, records } = await this.frame.evaluate(extractRepeatedBlocksInPage, {
+            blockAttribute: HEURISTIC_BLOCK_ATTRIBUTE,
+            nonNamePatterns: (this.discipline?.departmentKeywords || []).map(keyword => keywordSource(keyword)),
+            titlePatterns: (this.discipline?.titleWords || []).map(word => keywordSource(word))
         });
+        if (container) {
+            log.info(`Heuristic found ${records.length} people in ${container} blocks ` +
+                `(name: ${fields.name}, title: ${fields.title || 'none'})`);
+        }
+        
+        await this.recoverMissingEmails(records, `[${HEURISTIC_BLOCK_ATTRIBUTE}]`);
+        return this.processFacultyData(records, HEURISTIC_METHOD);
+    }
 
-        return this.processFacultyData(faculty, 'kansas');
+    async extractWithMethod(method) {
+        if (method === STRUCTURED_METHOD) {
+            return await this.extractStructured();
+        }
+        if (method === HEURISTIC_METHOD) {
+            return await this.extractHeuristic();
+        }
+        const recipe = this.recipes.find(candidate => candidate.name === method);
+        if (!recipe) {
+            log.warning(`Unknown extraction method "${method}", falling back to auto-detection`);
+            return await this.detectAndExtract();
+        }
+        return await this.extractWithRecipe(recipe);
     }
 
-    // Method 2: Illinois-style (Card-based with enhanced Playwright capabilities)
-    async extractIllinoisStyle() {
-        log.info('Attempting Illinois-style extraction...');
+    // Decode obfuscated, Cloudflare-protected and script-generated emails for records without a usable one
+    async recoverMissingEmails(faculty, container) {
+        const missing = faculty.filter(person => !cleanEmail(person.email));
+        if (missing.length === 0) return;
         
-        // Wait for any dynamic content to load
-        await this.page.waitForSelector('div[class*="person"], .person-card, .faculty-card, .staff-card', 
-            { timeout: 5000 }).catch(() => {});
+        const evidence = await this.frame.evaluate(collectEmailEvidenceInPage, {
+            container,
+            indices: missing.map(person => person.containerIndex)
+        });
+        
+        let recovered = 0;
+        for (const person of missing) {
+            const result = recoverEmail(cleanName(person.name), evidence[person.containerIndex], person.email);
+            if (result) {
+                person.email = result.email;
+                person.emailTechnique = result.technique;
+                recovered++;
+            }
+        }
+        
+        if (recovered > 0) {
+            log.info(`Recovered ${recovered} hidden email addresses`);
+        }
+    }
+
+    // Fill empty emails from the site's dominant address convention
+    inferMissingEmails(faculty, learner) {
+        learner.observe(faculty);
         
-        const faculty = await this.page.evaluate(() => {
-            const cards = document.querySelectorAll('div[class*="person"], .person-card, .faculty-card, .staff-card');
+        const dominant = learner.getDominantPattern();
+        if (!dominant) return faculty;
+        
+        let inferred = 0;
+        const result = faculty.map(person => {
+            if (person.email) return person;
             
-            return Array.from(cards).map(card => {
-                // Enhanced name extraction with multiple fallbacks
-                const nameSelectors = [
-                    'h1, h2, h3, h4',
-                    '.name, .person-name, .faculty-name',
-                    'a[href*="/people/"], a[href*="/faculty/"]',
-                    '.title-link, .person-link'
-                ];
-                
-                let nameElement = null;
-                for (const selector of nameSelectors) {
-                    nameElement = card.querySelector(selector);
-                    if (nameElement && nameElement.textContent.trim()) break;
-                }
-                
-                // Enhanced title extraction
-                const titleSelectors = [
-                    '.person-title, .faculty-title, .job-title',
-                    '.position, .role',
-                    'p, div, span'
-                ];
-                
-                let titleElement = null;
-                for (const selector of titleSelectors) {
-                    const elements = card.querySelectorAll(selector);
-                    for (const el of elements) {
-                        const text = el.textContent.trim();
-                        if (text && (text.includes('Professor') || text.includes('Instructor') || 
-                                    text.includes('Director') || text.includes('Lecturer'))) {
-                            titleElement = el;
-                            break;
-                        }
+            const guess = learner.infer(person.name);
+            if (!guess) return person;
+            
+            inferred++;
+            return {
+                ...person,
+                email: guess.email,
+                emailConfidence: guess.confidence,
+                emailSource: 'inferred',
+                emailPattern: guess.pattern,
+                fieldSources: { ...person.fieldSources, email: 'inferred' }
+            };
+        });
+        
+        log.info(`Inferred ${inferred} emails from pattern ${dominant.patternId}@${dominant.domain} ` +
+            `(${Math.round(dominant.consistency * 100)}% of ${dominant.samples} samples)`);
+        return result;
+    }
+
+    // Auto-detection method: run every candidate recipe and keep the best-scoring result
+    async detectAndExtract() {
+        log.info('Auto-detecting extraction method...');
+        
+        // Recipes bound to this domain or URL win outright
+        const matched = findMatchingRecipe(this.frame.url(), this.recipes);
+        if (matched) {
+            log.info(`Matched ${matched.name} recipe by domain/URL`);
+            const faculty = await this.extractWithRecipe(matched);
+            return this.annotateAutoDetection(faculty, this.scoreExtraction(faculty), []);
+        }
+        
+        const structured = await this.extractStructured().catch(error => {
+            log.warning(`Structured data extraction failed: ${error.message}`);
+            return [];
+        });
+        
+        const candidates = [];
+        for (const recipe of this.recipes) {
+            try {
+                const detected = recipe.detect ? await this.frame.$(recipe.detect) !== null : false;
+                const faculty = await this.extractWithRecipe(recipe, { wait: false });
+                candidates.push({ recipe, detected, faculty, metrics: this.scoreExtraction(faculty) });
+            } catch (error) {
+                log.warning(`${recipe.name} recipe failed: ${error.message}`);
+            }
+        }
+        
+        // Layouts no recipe knows go to the repeated-block heuristic
+        if (!candidates.some(candidate => candidate.metrics.score > 0)) {
+            log.warning('No recipe produced plausible faculty records, trying the repeated-block heuristic');
+            const heuristic = await this.extractHeuristic().catch(error => {
+                log.warning(`Heuristic extraction failed: ${error.message}`);
+                return [];
+            });
+            const metrics = this.scoreExtraction(heuristic);
+            if (metrics.score > 0) {
+                candidates.push({ recipe: { name: HEURISTIC_METHOD }, detected: false, faculty: heuristic, metrics });
+            }
+        }
+        
+        // Structured data is authored for machines and wins ties, but a few featured Person entries
+        // on a page of cards are not the directory
+        if (structured.length >= MIN_STRUCTURED_RECORDS) {
+            const largest = Math.max(0, ...candidates.filter(candidate => candidate.metrics.score > 0)
+                .map(candidate => candidate.faculty.length));
+            if (structured.length * 2 >= largest) {
+                candidates.unshift({
+                    recipe: { name: STRUCTURED_METHOD },
+                    detected: true,
+                    faculty: structured,
+                    metrics: this.scoreExtraction(structured)
+                });
+            } else {
+                log.info(`Ignoring ${structured.length} structured data records; the page lists ${largest} people`);
+            }
+        }
+        
+        // Ties go to recipes whose detect selector is present, then to the higher-priority recipe
+        const ranked = [...candidates].sort((a, b) =>
+            (b.metrics.score - a.metrics.score) || (Number(b.detected) - Number(a.detected)));
+        const [winner, ...runnersUp] = ranked;
+        
+        if (!winner || winner.metrics.score === 0) {
+            const fallback = candidates.find(candidate => candidate.recipe.fallback);
+            return fallback ? this.annotateAutoDetection(fallback.faculty, fallback.metrics, runnersUp) : [];
+        }
+        
+        log.info(`Auto-detection chose ${winner.recipe.name} (score ${winner.metrics.score}); ` +
+            `runners-up: ${runnersUp.map(candidate => `${candidate.recipe.name}=${candidate.metrics.score}`).join(', ') || 'none'}`);
+        
+        return this.annotateAutoDetection(winner.faculty, winner.metrics, runnersUp);
+    }
+
+    scoreExtraction(faculty) {
+        return scoreExtraction(faculty, { nonNameWords: this.discipline?.departmentKeywords || [] });
+    }
+
+    annotateAutoDetection(faculty, metrics, runnersUp) {
+        const autoDetection = {
+            score: metrics.score,
+            metrics,
+            runnersUp: runnersUp.map(candidate => ({
+                method: candidate.recipe.name,
+                score: candidate.metrics.score,
+                recordCount: candidate.metrics.recordCount
+            }))
+        };
+        return faculty.map(person => ({ ...person, autoDetection }));
+    }
+
+    // Iframes and web components: run extract in the main frame and in every same-site or allowed
+    // child frame, with open shadow roots mirrored into the light DOM first
+    async extractFromFrames(extract) {
+        const { frames, skipped } = selectExtractionFrames(this.page, { allowedHosts: this.allowedFrameHosts });
+        if (skipped.length > 0) {
+            log.debug(`Skipping ${skipped.length} cross-origin frames not in frameAllowlist: ${skipped.join(', ')}`);
+        }
+
+        const mainProfileLinks = this.profileLinks;
+        const records = [];
+        try {
+            for (const { frame, source } of frames) {
+                this.frame = frame;
+                this.frameSource = source;
+                const isMain = source === MAIN_FRAME;
+
+                try {
+                    const mirrored = await frame.evaluate(mirrorShadowRootsInPage, { mirrorAttribute: SHADOW_MIRROR_ATTRIBUTE });
+                    if (mirrored > 0) {
+                        log.info(`Mirrored ${mirrored} open shadow roots in ${isMain ? 'the main frame' : `frame ${source}`}`);
+                    }
+                    if (!isMain) {
+                        this.profileLinks = await this.extractAllProfileLinks();
+                    }
+
+                    const faculty = await extract();
+                    // Embedded frames are often unrelated widgets, so they only count when they hold people
+                    if (isMain || this.scoreExtraction(faculty).score > 0) {
+                        if (!isMain) log.info(`Found ${faculty.length} faculty in frame ${source}`);
+                        records.push(...faculty);
                     }
-                    if (titleElement) break;
+                } catch (error) {
+                    if (isMain) throw error;
+                    log.warning(`Extraction in frame ${source} failed: ${error.message}`);
                 }
+            }
+        } finally {
+            this.frame = this.page.mainFrame();
+            this.frameSource = MAIN_FRAME;
+            this.profileLinks = mainProfileLinks;
+        }
+        return records;
+    }
+
+    // Pagination: collect records from every page of the directory
+    async extractAllPages(extractPage) {
+        const startUrl = this.page.url();
+        const visitedUrls = new Set([this.normalizePageUrl(startUrl)]);
+        const records = [];
+        let pagesUsed = 1;
+        
+        const collectCurrentPage = async () => {
+            pagesUsed += await this.expandInPlace(this.maxPages - pagesUsed);
+            records.push(...await extractPage());
+        };
+        
+        const walkNextPages = async () => {
+            while (pagesUsed < this.maxPages) {
+                const nextUrl = await this.findNextPageUrl();
+                if (!nextUrl || visitedUrls.has(this.normalizePageUrl(nextUrl))) break;
                 
-                // Enhanced email extraction
-                const emailElement = card.querySelector('a[href^="mailto:"]');
-                let email = emailElement?.href.replace('mailto:', '') || '';
-                
-                // Phone extraction
-                const phoneElement = card.querySelector('.phone, .tel, a[href^="tel:"]');
-                let phone = phoneElement?.textContent.trim() || phoneElement?.href.replace('tel:', '') || '';
-                
-                // Profile link extraction
-                const profileElement = nameElement?.href || card.querySelector('a[href*="/people/"], a[href*="/faculty/"]')?.href || '';
-                
-                return {
-                    name: nameElement?.textContent.trim() || '',
-                    title: titleElement?.textContent.trim() || '',
-                    email: email,
-                    phone: phone,
-                    profileLink: profileElement
-                };
-            }).filter(person => person.name && !person.name.includes('Professor of') && !person.name.includes('Director of'));
+                log.info(`Following pager to ${nextUrl}`);
+                await this.gotoPage(nextUrl);
+                visitedUrls.add(this.normalizePageUrl(nextUrl));
+                pagesUsed++;
+                await collectCurrentPage();
+            }
+        };
+        
+        // Letter tabs are read before paging away from the first page
+        const letterTabs = await this.findLetterTabs();
+        
+        await collectCurrentPage();
+        await walkNextPages();
+        
+        if (letterTabs.length > 0) {
+            log.info(`Found ${letterTabs.length} letter tabs`);
+        }
+        
+        for (const tab of letterTabs) {
+            if (pagesUsed >= this.maxPages) {
+                log.warning(`Reached maxPages (${this.maxPages}), skipping remaining letter tabs`);
+                break;
+            }
+            
+            if (tab.href) {
+                if (visitedUrls.has(this.normalizePageUrl(tab.href))) continue;
+                await this.gotoPage(tab.href);
+                visitedUrls.add(this.normalizePageUrl(tab.href));
+            } else {
+                // Script-driven tabs live on the first page
+                if (this.normalizePageUrl(this.page.url()) !== this.normalizePageUrl(startUrl)) {
+                    await this.gotoPage(startUrl);
+                }
+                const clicked = await this.clickLetterTab(tab.letter);
+                if (!clicked) continue;
+            }
+            
+            pagesUsed++;
+            await collectCurrentPage();
+            await walkNextPages();
+        }
+        
+        if (pagesUsed >= this.maxPages) {
+            log.warning(`Stopped paginating after maxPages (${this.maxPages})`);
+            this.reachedMaxPages = true;
+        }
+        
+        // The same person can appear on overlapping pages or tabs
+        const seen = new Set();
+        return records.filter(person => {
+            const key = `${person.name.toLowerCase()}|${person.email}|${person.profileLink}`;
+            if (seen.has(key)) return false;
+            seen.add(key);
+            return true;
         });
+    }
+
+    async gotoPage(url) {
+        await this.page.goto(url);
+        await this.page.waitForLoadState('networkidle');
+        await this.onPageLoaded?.();
+        this.profileLinks = await this.extractAllProfileLinks();
+    }
 
-        return this.processFacultyData(faculty, 'illinois');
+    normalizePageUrl(url) {
+        return url.split('#')[0].replace(/\/$/, '');
     }
 
-    // Method 3: Utah-style (Table/markdown with profile links)
-    async extractUtahStyle() {
-        log.info('Attempting Utah-style extraction...');
-        
-        const faculty = await this.page.evaluate(() => {
-            const profileLinks = document.querySelectorAll('a[href*="/faculty/"][href*=".php"]');
+    async findNextPageUrl() {
+        return await this.page.evaluate(() => {
+            const usable = (href) => href && /^https?:/i.test(href) && href.split('#')[0] !== location.href.split('#')[0];
             
-            return Array.from(profileLinks).map(link => {
-                const name = link.textContent.trim();
-                if (!name || name.length < 3) return null;
-                
-                return {
-                    name: name,
-                    title: '',
-                    email: '',
-                    phone: '',
-                    profileLink: link.href
-                };
-            }).filter(person => person && person.name);
-                    });
-
-        // DEBUG LOGGING - Add this temporarily
-        log.info(`Raw faculty found by Utah selectors: ${faculty.length}`);
-        faculty.forEach((person, index) => {
-            log.info(`Faculty ${index}: ${person.name} | ${person.title} | ${person.profileLink}`);
+            // Explicit next links: rel="next", Drupal Views pagers, common pagination widgets
+            const nextSelectors = [
+                'link[rel="next"]',
+                'a[rel="next"]',
+                '.pager__item--next a, .pager-next a, .pager .next a',
+                '.pagination .next a, .pagination a.next, li.next a, a.next',
+                'a[aria-label*="next" i], a[title*="next page" i]'
+            ];
+            
+            for (const selector of nextSelectors) {
+                const element = document.querySelector(selector);
+                if (element && usable(element.href)) return element.href;
+            }
+            
+            // Text-only next links; a lone "»" usually jumps to the last page
+            const textMatch = Array.from(document.querySelectorAll('a[href]')).find(link =>
+                /^((next|next page|more results)\s*[›»>]*|[›>])$/i.test(link.textContent.trim()) &&
+                link.textContent.trim() && usable(link.href)
+            );
+            if (textMatch) return textMatch.href;
+            
+            // Numbered ?page=N links (Drupal counts from 0, most others from 1)
+            const current = new URL(location.href);
+            const currentPage = parseInt(current.searchParams.get('page') ?? '', 10);
+            const pageLinks = Array.from(document.querySelectorAll('a[href*="page="]'))
+                .map(link => {
+                    try {
+                        const url = new URL(link.href);
+                        return { href: link.href, url, page: parseInt(url.searchParams.get('page'), 10) };
+                    } catch {
+                        return null;
+                    }
+                })
+                .filter(link => link && link.url.pathname === current.pathname && !isNaN(link.page));
+            
+            if (pageLinks.length === 0) return null;
+            
+            // Without a page param we are on the first page: the lowest page >= 1 is next either way
+            const laterPages = pageLinks.map(link => link.page).filter(page => page > 0);
+            const wanted = isNaN(currentPage) ? Math.min(...laterPages) : currentPage + 1;
+            const next = pageLinks.find(link => link.page === wanted);
+            return next && usable(next.href) ? next.href : null;
         });
-
-        return this.processFacultyData(faculty, 'utah');
     }
 
-    // Method 4: Tabular/UNF-style (Database-style tables)
-    async extractTabularStyle() {
-        log.info('Attempting Tabular-style extraction...');
-        
-        const faculty = await this.page.$$eval('table tr, .table-row', (rows) => {
-            return rows.map(row => {
-                const cells = row.querySelectorAll('td, .cell');
-                if (cells.length < 2) return null;
+    async findLetterTabs() {
+        const tabs = await this.page.evaluate(() => {
+            const current = location.href.split('#')[0];
+            const byLetter = new Map();
+            
+            for (const element of document.querySelectorAll('a, button, [role="tab"]')) {
+                const letter = element.textContent.trim().toUpperCase();
+                if (!/^[A-Z]$/.test(letter) || byLetter.has(letter)) continue;
                 
-                const nameCell = cells[0];
-                const nameElement = nameCell.querySelector('a') || nameCell;
+                const rawHref = element.getAttribute('href') || '';
+                const href = element.href && /^https?:/i.test(element.href) && !rawHref.startsWith('#') ? element.href : '';
                 
-                return {
-                    name: nameElement.textContent.trim(),
-                    title: cells[1]?.textContent.trim() || '',
-                    email: row.querySelector('a[href^="mailto:"]')?.href.replace('mailto:', '') || '',
-                    phone: cells[2]?.textContent.trim() || '',
-                    profileLink: nameElement.href || ''
-                };
-            }).filter(person => person && person.name);
+                // In-page anchors point at sections that are already on the page
+                if (rawHref.startsWith('#') && rawHref.length > 1) continue;
+                if (href && href.split('#')[0] === current) continue;
+                
+                byLetter.set(letter, { letter, href });
+            }
+            
+            return Array.from(byLetter.values());
         });
-
-        return this.processFacultyData(faculty, 'tabular');
+        
+        // A handful of single-letter links is noise; an A–Z bar has most of the alphabet
+        return tabs.length >= 10 ? tabs : [];
     }
 
-    // Auto-detection method
-    async detectAndExtract() {
-        log.info('Auto-detecting extraction method...');
+    async clickLetterTab(letter) {
+        const tab = this.page
+            .locator('a, button, [role="tab"]')
+            .filter({ hasText: new RegExp(`^\\s*${letter}\\s*$`, 'i'), visible: true })
+            .first();
         
-        // Check for Kansas-style structure
-        const hasKansasStyle = await this.page.$('.views-row') !== null;
-        if (hasKansasStyle) {
-            log.info('Detected Kansas-style structure');
-            return await this.extractKansasStyle();
+        try {
+            await tab.click({ timeout: 5000 });
+            await this.page.waitForLoadState('networkidle');
+            return true;
+        } catch (error) {
+            log.warning(`Could not open letter tab ${letter}: ${error.message}`);
+            return false;
         }
+    }
+
+    // Expand "Load more" buttons and infinite scroll; returns the number of expansions used
+    async expandInPlace(budget) {
+        let used = 0;
         
-        // Check for Illinois-style cards
-        const hasIllinoisStyle = await this.page.$('div[class*="person"], .person-card, .faculty-card') !== null;
-        if (hasIllinoisStyle) {
-            log.info('Detected Illinois-style structure');
-            return await this.extractIllinoisStyle();
+        // "Load more" / "Show more" buttons; links only when they go nowhere, since per-card
+        // "See more" links lead to profile and news pages
+        const directoryUrl = this.page.url();
+        while (used < budget) {
+            const button = this.page
+                .locator('button, input[type="button"], [role="button"], a:not([href]), a[href="#"], a[href^="javascript:"]')
+                .filter({ hasText: /^\s*(load|show|view|see) more\b/i, visible: true })
+                .first();
+            
+            if (!(await button.isVisible().catch(() => false))) break;
+            
+            const before = await this.page.evaluate(() => document.body.innerHTML.length);
+            try {
+                await button.click({ timeout: 5000 });
+                await this.page.waitForLoadState('networkidle');
+                await this.page.waitForTimeout(500);
+            } catch (error) {
+                log.warning(`"Load more" click failed: ${error.message}`);
+                break;
+            }
+            used++;
+            
+            if (this.normalizePageUrl(this.page.url()) !== this.normalizePageUrl(directoryUrl)) {
+                log.warning(`"Load more" click navigated to ${this.page.url()}, returning to the directory`);
+                await this.gotoPage(directoryUrl);
+                break;
+            }
+            
+            const after = await this.page.evaluate(() => document.body.innerHTML.length);
+            if (after === before) break;
         }
         
-        // Check for Utah-style tables with profile links
-        const hasUtahStyle = await this.page.$('a[href*=".php"], table tr') !== null;
-        if (hasUtahStyle) {
-            log.info('Detected Utah-style structure');
-            return await this.extractUtahStyle();
+        // Infinite scroll: keep scrolling while the page keeps growing
+        while (used < budget) {
+            const before = await this.page.evaluate(() => document.body.scrollHeight);
+            await this.page.evaluate(() => window.scrollTo(0, document.body.scrollHeight));
+            await this.page.waitForTimeout(1000);
+            await this.page.waitForLoadState('networkidle');
+            
+            const after = await this.page.evaluate(() => document.body.scrollHeight);
+            if (after <= before) break;
+            used++;
         }
         
-        // Default to tabular
-        log.info('Using tabular extraction as fallback');
-        return await this.extractTabularStyle();
+        if (used > 0) {
+            log.info(`Expanded page ${used} times via "Load more"/infinite scroll`);
+            this.profileLinks = await this.extractAllProfileLinks();
+        }
+        return used;
     }
 
     // Process and enhance extracted faculty data
@@ -246,6 +625,7 @@ class PlaywrightFacultyExtractor {
         
         const processedFaculty = rawFaculty.map(person => {
             // Clean and enhance data using Phase 1 helper functions
+            const parsedName = parseName(person.name);
             const cleanedName = cleanName(person.name);
             const cleanedEmail = cleanEmail(person.email);
             
@@ -257,19 +637,44 @@ class PlaywrightFacultyExtractor {
             
             // Calculate email confidence
             const emailConfidence = calculateEmailConfidence(cleanedName, cleanedEmail);
+            const titles = (person.titles?.length ? person.titles : [person.title]).filter(Boolean).map(cleanTitle);
+            const { phone, phoneExtension, phoneRaw } = normalizePhone(person.phone, { mainNumber: this.mainNumber });
             
             return {
                 name: cleanedName,
-                titles: person.title ? [cleanTitle(person.title)] : [],
+                firstName: parsedName.firstName,
+                middleName: parsedName.middleName,
+                lastName: parsedName.lastName,
+                suffix: parsedName.suffix,
+                honorific: parsedName.honorific,
+                credentials: parsedName.credentials,
+                titles: titles,
                 profileLink: profileLink,
                 email: cleanedEmail,
                 emailConfidence: emailConfidence,
-                emailSource: emailConfidence > 0.5 ? 'name-matched' : 'generic',
-                phone: cleanPhone(person.phone),
+                // An address that does not match the name is generic however it was found
+                emailSource: emailConfidence <= 0.5 ? 'generic' :
+                    (person.emailTechnique ? `recovered-${person.emailTechnique}` : 'name-matched'),
+                phone: phone,
+                phoneExtension: phoneExtension,
+                phoneRaw: phoneRaw,
+                fieldSources: {
+                    name: 'directory',
+                    titles: titles.length ? 'directory' : null,
+                    email: cleanedEmail ? 'directory' : null,
+                    phone: phone ? 'directory' : null,
+                    profileLink: person.profileLink ? 'directory' : (profileLink ? 'directory-link-match' : null)
+                },
                 university: this.universityName,
+                universityConfidence: this.institution.confidence,
+                universitySource: this.institution.source,
                 department: this.departmentName,
+                departmentConfidence: this.department.confidence,
+                departmentSource: this.department.source,
+                discipline: this.discipline?.name || null,
                 extractionMethod: method,
                 sourceUrl: this.page.url(),
+                sourceFrame: this.frameSource,
                 scrapedAt: new Date().toISOString()
             };
         }).filter(person => person.name && person.name.length > 2);
@@ -278,92 +683,298 @@ class PlaywrightFacultyExtractor {
         return processedFaculty;
     }
 
-    // Helper methods (adapted from Phase 1)
-    async getUniversityName(url) {
-        const universityName = await this.page.evaluate(() => {
-            // Try multiple selectors for university name
-            const selectors = [
-                'title',
-                '.university-name, .institution-name',
-                'h1',
-                '.site-title, .site-name'
-            ];
+    // Profile page extraction (second crawl stage for followProfileLinks)
+    async extractProfileDetails(name = '') {
+        await this.page.waitForLoadState('networkidle');
+        
+        const contentSelector = 'main, #main, #content, .main-content, article';
+        const details = await this.page.evaluate((contentSelector) => {
+            const textOf = (element) => element?.textContent.replace(/\s+/g, ' ').trim() || '';
+            const root = document.querySelector(contentSelector) || document.body;
             
-            for (const selector of selectors) {
-                const element = document.querySelector(selector);
-                if (element && element.textContent.includes('University')) {
-                    return element.textContent.trim();
-                }
+            // Email: prefer mailto links, fall back to plain text addresses
+            const emailElement = root.querySelector('a[href^="mailto:"]');
+            let email = emailElement?.href.replace('mailto:', '').split('?')[0] || '';
+            if (!email) {
+                const match = root.innerText.match(/[\w.+-]+@[\w-]+(\.[\w-]+)+/);
+                email = match ? match[0] : '';
             }
             
-            return document.title || '';
-        });
-        
-        return getUniversityName(url, universityName);
-    }
-
-    async getDepartmentName() {
-        const departmentName = await this.page.evaluate(() => {
-            const selectors = [
-                '.department-name, .school-name',
-                'h1, h2',
-                '.page-title, .section-title'
-            ];
+            // Phone: tel links, labelled fields, then "Phone:" text
+            const phoneElement = root.querySelector('a[href^="tel:"], .phone, .tel, [class*="phone"]');
+            let phone = textOf(phoneElement) || phoneElement?.href?.replace('tel:', '') || '';
+            if (!phone) {
+                const match = root.innerText.match(/(?:Phone|Tel|Office Phone)[:\s]+([\d().\-\s+]{7,})/i);
+                phone = match ? match[1] : '';
+            }
             
-            for (const selector of selectors) {
-                const element = document.querySelector(selector);
-                if (element && (element.textContent.includes('Music') || 
-                               element.textContent.includes('Arts') ||
-                               element.textContent.includes('Fine Arts'))) {
-                    return element.textContent.trim();
-                }
+            // Titles: dedicated title fields, one entry per element
+            const titleSelectors = '.field-person-title, .person-title, .faculty-title, .job-title, .position, [class*="job-title"], [itemprop="jobTitle"]';
+            const titles = Array.from(root.querySelectorAll(titleSelectors))
+                .map(textOf)
+                .filter(text => text && text.length < 200);
+            
+            // Office: labelled fields or "Office:" text
+            const officeElement = root.querySelector('.office, .location, [class*="office"], [class*="location"], [itemprop="workLocation"]');
+            let office = textOf(officeElement);
+            if (!office) {
+                const match = root.innerText.match(/(?:Office|Room|Location)[:\s]+([^\n]{2,80})/i);
+                office = match ? match[1].trim() : '';
             }
             
-            return '';
-        });
+            // Bio: dedicated bio containers, else the longest paragraphs
+            const bioElement = root.querySelector('.bio, .biography, [class*="biography"], .field-body, .field-name-body, [itemprop="description"]');
+            let bio = textOf(bioElement);
+            if (!bio) {
+                bio = Array.from(root.querySelectorAll('p'))
+                    .map(textOf)
+                    .filter(text => text.length > 80)
+                    .join('\n\n');
+            }
+            
+            // Headshot: portrait-like images inside the main content
+            const imageElement = root.querySelector('img[class*="headshot"], img[class*="portrait"], img[class*="profile"], img[class*="photo"], [class*="headshot"] img, [class*="portrait"] img, [class*="profile"] img, [itemprop="image"]')
+                || root.querySelector('img');
+            
+            return {
+                email,
+                phone,
+                titles,
+                office,
+                bio: bio.slice(0, 5000),
+                headshotUrl: imageElement?.src || ''
+            };
+        }, contentSelector);
+        
+        if (!cleanEmail(details.email)) {
+            const hasContent = await this.page.$(contentSelector) !== null;
+            const evidence = await this.page.evaluate(collectEmailEvidenceInPage, {
+                container: hasContent ? contentSelector : 'body',
+                indices: [0]
+            });
+            const result = recoverEmail(cleanName(name), evidence[0], details.email, { ownContainer: false });
+            if (result) {
+                details.email = result.email;
+                details.emailTechnique = result.technique;
+            }
+        }
         
-        return getDepartmentName(departmentName);
+        return details;
+    }
+
+    // Institution from the .edu domain table and page metadata, department from breadcrumbs and headings
+    async resolveAffiliation(url) {
+        const evidence = await this.page.evaluate(collectInstitutionEvidenceInPage);
+
+        this.institution = resolveInstitution(url, evidence, this.domainTable, {
+            unitKeywords: this.discipline?.departmentKeywords
+        });
+        this.department = resolveDepartment(evidence, {
+            keywords: this.discipline?.departmentKeywords,
+            parentKeywords: this.discipline?.parentUnitKeywords,
+            defaultName: this.discipline?.defaultDepartmentName
+        });
+        this.universityName = this.institution.name;
+        this.departmentName = this.department.name;
+    }
+}
+
+// Final records kept for the end-of-run export files
+const exportBuffer = [];
+
+// Change detection against the previous run's per-institution snapshots
+const changeTracker = changeDetection ? new ChangeTracker() : null;
+
+// Per start URL quality report, saved as OUTPUT
+const runReport = new RunReport(qualityThresholds);
+
+// Email pattern learners, one per institution
+const emailLearners = new Map();
+
+// Deduplication: records are consolidated in memory and pushed once at the end of the run.
+// DEDUP_STATE in the default store survives migrations; the named store carries state across runs.
+const runId = Actor.getEnv().actorRunId || `local-${Date.now()}`;
+const dedupStore = dedupAcrossRuns ? await Actor.openKeyValueStore(DEDUP_STORE_NAME) : null;
+const deduplicator = deduplicate
+    ? FacultyDeduplicator.fromJSON(await Actor.getValue('DEDUP_STATE') || await dedupStore?.getValue('STATE'))
+    : null;
+
+if (deduplicator) {
+    Actor.on('persistState', async () => {
+        await Actor.setValue('DEDUP_STATE', deduplicator.toJSON());
+    });
+}
+
+// Directory records waiting for their profile page, by request uniqueKey. Whatever is still here when the
+// crawl ends (maxRequestsPerCrawl reached) is emitted as it came from the directory; records whose profile
+// request was a duplicate are emitted when they are found.
+const pendingProfileRecords = new Map();
+
+async function emitRecords(records) {
+    if (deduplicator) {
+        deduplicator.add(records, { runId });
+    } else {
+        await pushFinalRecords(records);
+    }
+}
+
+// Classify titles on the final record (after profile and dedup merges) and drop unwanted person types
+async function pushFinalRecords(records) {
+    const classified = records
+        .map(person => ({ ...person, ...classifyTitles(person.titles || [], disciplineProfile.titleVocabulary) }))
+        .filter(person => !excludePersonTypes.includes(person.personType));
+    
+    if (classified.length < records.length) {
+        log.info(`Dropped ${records.length - classified.length} records by person type (${excludePersonTypes.join(', ')})`);
+    }
+    if (changeTracker) {
+        const { records: annotated, events } = await changeTracker.track(classified);
+        // Exports carry changeStatus, so they take the annotated records
+        if (exportFormats.length > 0) {
+            exportBuffer.push(...annotated);
+        }
+        const output = pushOnlyChanges ? events : annotated;
+        if (output.length > 0) {
+            await Actor.pushData(output);
+        }
+        return annotated;
+    }
+    
+    if (exportFormats.length > 0) {
+        exportBuffer.push(...classified);
     }
+    if (classified.length > 0) {
+        await Actor.pushData(classified);
+    }
+    return classified;
+}
+
+// Record-and-replay of rendered pages and their network responses
+const recorder = captureSnapshots && !replay ? new PageRecorder(snapshotStore) : null;
+const replayer = replay ? new PageReplayer(snapshotStore) : null;
+await replayer?.open();
+
+// Authentication runs before navigation so extraction only ever sees the logged-in page
+const loginManager = enableAuth ? new LoginManager(authCredentials, authConfig) : null;
+if (loginManager && !loginManager.enabled) {
+    log.warning('enableAuth is set but authCredentials.username/password are missing; skipping login');
 }
 
+// Handler time budget per pager page, letter tab or expansion
+const REQUEST_SECS_PER_PAGE = 45;
+
 // Initialize the crawler
 const crawler = new PlaywrightCrawler({
     headless,
+    preNavigationHooks: [
+        async ({ page, request }) => {
+            // Replay serves everything from the capture, so there is nothing to log in to
+            if (replayer) {
+                await replayer.attach(page);
+                return;
+            }
+            if (loginManager?.enabled) {
+                await loginManager.ensureLoggedIn(page, request.url);
+            }
+            recorder?.attach(page, request);
+        }
+    ],
     requestHandler: async ({ request, page, log }) => {
         log.info(`Processing: ${request.loadedUrl}`);
+        const startUrl = request.userData.startUrl || request.url;
+        runReport.recordPage(startUrl, { label: request.label });
+        
+        // A login form instead of the requested page means the saved session expired
+        if (loginManager?.enabled && await loginManager.isSessionExpired(page, request.url)) {
+            await loginManager.invalidate();
+            throw new Error('Session expired, logging in again on retry');
+        }
+        
+        if (request.label === 'PROFILE') {
+            await handleProfilePage(request, page);
+            return;
+        }
+        if (request.label === 'DISCOVER') {
+            await handleDiscoveryPage(request, page);
+            return;
+        }
         
         try {
             // Initialize extractor
-            const extractor = new PlaywrightFacultyExtractor(page);
+            const extractor = new PlaywrightFacultyExtractor(page, {
+                recipes,
+                maxPages,
+                domainTable,
+                discipline: disciplineProfile,
+                allowedFrameHosts: frameAllowlist,
+                onPageLoaded: recorder ? () => recorder.snapshot(page) : null
+            });
             await extractor.initialize(request.loadedUrl);
+            runReport.recordInstitution(startUrl, extractor.universityName);
+            
+            // Extract faculty data based on method, in the page and its embedded directory frames
+            const extractPage = async () => await extractor.extractFromFrames(async () => {
+                if (extractionMethod === 'auto') {
+                    return await extractor.detectAndExtract();
+                }
+                return await extractor.extractWithMethod(extractionMethod);
+            });
             
-            // Handle authentication if needed
-            if (enableAuth && authCredentials.username && authCredentials.password) {
-                await handleAuthentication(page, authCredentials);
+            // Walk pagers, letter tabs, "Load more" buttons and infinite scroll
+            let faculty = await extractor.extractAllPages(extractPage);
+            runReport.recordRecords(startUrl, faculty);
+            if (extractor.reachedMaxPages) {
+                runReport.recordTruncated(startUrl);
             }
             
-            // Extract faculty data based on method
-            let faculty = [];
-            if (extractionMethod === 'auto') {
-                faculty = await extractor.detectAndExtract();
-            } else {
-                const methodMap = {
-                    'kansas': () => extractor.extractKansasStyle(),
-                    'illinois': () => extractor.extractIllinoisStyle(),
-                    'utah': () => extractor.extractUtahStyle(),
-                    'tabular': () => extractor.extractTabularStyle()
-                };
-                
-                if (methodMap[extractionMethod]) {
-                    faculty = await methodMap[extractionMethod]();
-                } else {
-                    faculty = await extractor.detectAndExtract();
+            // Learn the address convention per institution so later pages and URLs benefit too
+            if (inferMissingEmails) {
+                if (!emailLearners.has(extractor.universityName)) {
+                    emailLearners.set(extractor.universityName, new EmailPatternLearner());
                 }
+                faculty = extractor.inferMissingEmails(faculty, emailLearners.get(extractor.universityName));
             }
             
-            // Push results to dataset
+            // Push results to dataset, deferring records whose profile page will be visited
             if (faculty.length > 0) {
-                await Actor.pushData(faculty);
+                // Profile URLs shared by several people on this page do not identify anyone
+                deduplicator?.observeProfileLinks(faculty);
+                const deferred = followProfileLinks ? faculty.filter(hasFollowableProfile) : [];
+                const ready = faculty.filter(person => !deferred.includes(person));
+                
+                if (ready.length > 0) {
+                    await emitRecords(ready);
+                }
+                if (deferred.length > 0) {
+                    const profileRequests = deferred.map(person => ({
+                        url: person.profileLink,
+                        uniqueKey: `${person.profileLink}|${person.name}`,
+                        label: 'PROFILE',
+                        userData: { record: person, mainNumber: extractor.mainNumber, startUrl }
+                    }));
+                    // A profile already queued or visited for an earlier directory page is not fetched again,
+                    // so its record here goes out as the directory listed it
+                    const duplicates = [];
+                    const queued = [];
+                    for (const profileRequest of profileRequests) {
+                        if (pendingProfileRecords.has(profileRequest.uniqueKey)) {
+                            duplicates.push(profileRequest.userData.record);
+                        } else {
+                            pendingProfileRecords.set(profileRequest.uniqueKey, profileRequest.userData.record);
+                            queued.push(profileRequest);
+                        }
+                    }
+                    const { addedRequests } = await crawler.addRequests(queued, { waitForAllRequestsToBeAdded: true });
+                    const alreadyPresent = addedRequests.filter(added => added.wasAlreadyPresent);
+                    for (const added of alreadyPresent) {
+                        duplicates.push(pendingProfileRecords.get(added.uniqueKey));
+                        pendingProfileRecords.delete(added.uniqueKey);
+                    }
+                    if (duplicates.length > 0) {
+                        await emitRecords(duplicates);
+                    }
+                    log.info(`Enqueued ${queued.length - alreadyPresent.length} profile pages`);
+                }
                 log.info(`Successfully scraped ${faculty.length} faculty members`);
             } else {
                 log.warning('No faculty data extracted');
@@ -371,44 +982,196 @@ const crawler = new PlaywrightCrawler({
             
         } catch (error) {
             log.error(`Error processing ${request.loadedUrl}: ${error.message}`);
+            runReport.recordError(startUrl, { url: request.url, message: error.message, retryCount: request.retryCount, final: true });
+        } finally {
+            await recorder?.flush(page);
         }
     },
     
-    failedRequestHandler: async ({ request, log }) => {
-        log.error(`Request failed: ${request.loadedUrl}`);
+    // Called for every attempt that will be retried
+    errorHandler: async ({ request }, error) => {
+        runReport.recordError(request.userData.startUrl || request.url, {
+            url: request.url,
+            label: request.label,
+            message: error.message,
+            retryCount: request.retryCount
+        });
+    },
+    
+    failedRequestHandler: async ({ request, log }, error) => {
+        log.error(`Request failed: ${request.loadedUrl || request.url}`);
+        runReport.recordError(request.userData.startUrl || request.url, {
+            url: request.url,
+            label: request.label,
+            message: error?.message || 'Request failed',
+            retryCount: request.retryCount,
+            final: true
+        });
+        
+        // Keep the directory record even when its profile page cannot be loaded
+        if (request.label === 'PROFILE' && request.userData.record) {
+            pendingProfileRecords.delete(request.uniqueKey);
+            await emitRecords([request.userData.record]);
+        }
     },
     
     maxRequestsPerCrawl,
+    // One directory request walks up to maxPages pagers, tabs and expansions, each running auto-detection
+    requestHandlerTimeoutSecs: 60 + maxPages * REQUEST_SECS_PER_PAGE,
 });
 
-// Authentication helper
-async function handleAuthentication(page, credentials) {
-    log.info('Handling authentication...');
-    
-    // Look for login forms
-    const usernameSelector = 'input[type="text"][name*="user"], input[type="email"][name*="user"], input[name="username"], input[name="email"]';
-    const passwordSelector = 'input[type="password"]';
-    const submitSelector = 'button[type="submit"], input[type="submit"], .login-button';
+// Profile link helpers
+function hasFollowableProfile(person) {
+    return /^https?:\/\//i.test(person.profileLink || '');
+}
+
+// Discovery: rank links from the page (and the sitemap on the home page), then enqueue the best
+// directory URLs for extraction or search the best department site one level deeper
+const MAX_DISCOVERY_DEPTH = 2;
+
+async function handleDiscoveryPage(request, page) {
+    const { startUrl, depth = 0 } = request.userData;
+    const keywords = disciplineProfile.departmentKeywords;
     
-    const usernameField = await page.$(usernameSelector);
-    const passwordField = await page.$(passwordSelector);
-    const submitButton = await page.$(submitSelector);
+    try {
+        await page.waitForLoadState('networkidle').catch(() => {});
+        await recorder?.snapshot(page);
+        
+        const links = await page.evaluate(collectLinksInPage);
+        // Sitemaps are fetched outside the page, so replay (which has no network) skips them
+        const sitemapUrls = depth === 0 && !replayer ? await readSitemapUrls(page, request.loadedUrl, { keywords }) : [];
+        const ranked = rankCandidates(links, sitemapUrls, request.loadedUrl, { keywords });
+        const { directories, departmentSite } = chooseCandidates(ranked, {
+            maxCandidates: discoveryMaxDirectories,
+            minScore: discoveryMinScore
+        });
+        
+        if (directories.length > 0) {
+            await crawler.addRequests(directories.map(candidate => ({
+                url: candidate.url,
+                userData: { startUrl, discoveredFrom: request.loadedUrl }
+            })));
+            runReport.recordDiscovery(startUrl, { chosen: directories, candidates: ranked.slice(0, 10) });
+            log.info(`Discovered ${directories.map(candidate => `${candidate.url} (${candidate.score})`).join(', ')} for ${startUrl}`);
+        } else if (departmentSite && depth + 1 < MAX_DISCOVERY_DEPTH) {
+            await crawler.addRequests([{
+                url: departmentSite.url,
+                label: 'DISCOVER',
+                userData: { startUrl, depth: depth + 1 }
+            }]);
+            log.info(`No directory link on ${request.loadedUrl}; searching department site ${departmentSite.url}`);
+        } else {
+            runReport.recordDiscovery(startUrl, { chosen: [], candidates: ranked.slice(0, 10) });
+            log.warning(`Discovery found no faculty directory for ${startUrl}`);
+        }
+    } catch (error) {
+        log.error(`Error discovering from ${request.loadedUrl}: ${error.message}`);
+        runReport.recordError(startUrl, { url: request.url, label: 'DISCOVER', message: error.message, final: true });
+    } finally {
+        await recorder?.flush(page);
+    }
+}
+
+async function handleProfilePage(request, page) {
+    const { record, mainNumber, startUrl } = request.userData;
+    pendingProfileRecords.delete(request.uniqueKey);
     
-    if (usernameField && passwordField && submitButton) {
-        await usernameField.fill(credentials.username);
-        await passwordField.fill(credentials.password);
-        await submitButton.click();
-        
-        // Wait for navigation after login
-        await page.waitForLoadState('networkidle');
-        log.info('Authentication completed');
-    } else {
-        log.warning('Login form not found');
+    try {
+        const extractor = new PlaywrightFacultyExtractor(page);
+        const details = await extractor.extractProfileDetails(record.name);
+        await recorder?.snapshot(page);
+        const merged = mergeProfileDetails(record, { ...details, mainNumber });
+        runReport.recordProfileMerge(startUrl || request.url, record, merged);
+        
+        await emitRecords([merged]);
+        log.info(`Merged profile details for ${record.name}`);
+    } catch (error) {
+        log.error(`Error processing profile ${request.loadedUrl}: ${error.message}`);
+        runReport.recordError(startUrl || request.url, { url: request.url, label: 'PROFILE', message: error.message, final: true });
+        await emitRecords([record]);
+    } finally {
+        await recorder?.flush(page);
     }
 }
 
-// Add URLs to queue and start crawling
-await crawler.addRequests(startUrls);
+// Add URLs to queue and start crawling (replay takes them from the capture index).
+// Every request remembers its start URL so the report can attribute records and errors.
+// In discovery mode start URLs may be bare domains and go through the DISCOVER handler first.
+const startRequests = (replayer ? replayer.startRequests(discover ? startUrls.map(toDiscoveryUrl) : startUrls) : startUrls).map(entry => {
+    const request = typeof entry === 'string' ? { url: entry } : { ...entry };
+    if (discover && !replayer) {
+        request.url = toDiscoveryUrl(request.url);
+        request.label = 'DISCOVER';
+    }
+    return { ...request, userData: { ...request.userData, startUrl: request.url } };
+});
+runReport.registerStartUrls(startRequests.map(request => request.url));
+await crawler.addRequests(startRequests);
 await crawler.run();
 
-await Actor.exit();
+if (pendingProfileRecords.size > 0) {
+    log.warning(`${pendingProfileRecords.size} profile pages were not visited (maxRequestsPerCrawl reached?); ` +
+        'emitting their directory records without profile details');
+    await emitRecords(Array.from(pendingProfileRecords.values()));
+    pendingProfileRecords.clear();
+}
+
+// Emit one consolidated record per person seen in this run
+if (deduplicator) {
+    const consolidated = deduplicator.records({ runId });
+    await pushFinalRecords(consolidated);
+    log.info(`Deduplicated into ${consolidated.length} unique faculty records`);
+    
+    await Actor.setValue('DEDUP_STATE', null);
+    if (dedupStore) {
+        // Losing the cross-run state must not cost this run's change report and exports
+        try {
+            await dedupStore.setValue('STATE', deduplicator.toJSON());
+            log.info(`Saved ${deduplicator.size} known faculty records for future runs`);
+        } catch (error) {
+            log.error(`Could not save the deduplication state for future runs: ${error.message}`);
+        }
+    }
+}
+
+// Removals are only known once every page has been seen
+if (changeTracker) {
+    // Institutions with a failed or truncated start URL were not fully seen, so nobody there counts as removed
+    const removed = await changeTracker.finish({ incompleteInstitutions: runReport.incompleteInstitutions() });
+    if (pushOnlyChanges && removed.length > 0) {
+        await Actor.pushData(removed);
+    }
+    await Actor.setValue('CHANGES', { summary: changeTracker.summary(), events: changeTracker.events });
+}
+
+if (exportFormats.length > 0) {
+    await writeExports(exportBuffer, {
+        formats: exportFormats,
+        minEmailConfidence: exportMinEmailConfidence,
+        crmFieldMapping
+    });
+}
+
+// Run report for pipelines: a failed status means a site broke or came back thin
+const report = runReport.build();
+await Actor.setValue('OUTPUT', report);
+
+// Discovered directories in startUrls format, ready to be cached and reused without discovery
+if (discover) {
+    const discovered = report.urls.flatMap(entry => (entry.discovery?.chosen || []).map(candidate => ({
+        url: candidate.url,
+        userData: { discoveredFrom: entry.startUrl, score: candidate.score }
+    })));
+    await Actor.setValue('DISCOVERED_URLS', discovered);
+    log.info(`Saved ${discovered.length} discovered directory URLs to DISCOVERED_URLS`);
+}
+for (const entry of report.urls.filter(url => url.status === 'failed')) {
+    log.warning(`Quality check failed for ${entry.startUrl}: ${entry.failureReasons.join('; ')}`);
+}
+log.info(`Run report: ${report.status} (${report.totals.records} records from ${report.totals.startUrls} start URLs)`);
+
+if (report.status === 'failed' && failOnQualityThresholds) {
+    await Actor.fail(report.failureReason);
+} else {
+    await Actor.exit();
+}
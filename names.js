@@ -0,0 +1,164 @@
+// Structured name parsing: honorifics, credentials, suffixes and "Last, First" order
+
+const HONORIFICS = new Set([
+    'dr', 'prof', 'professor', 'mr', 'mrs', 'ms', 'mx', 'miss', 'rev', 'fr', 'maestro', 'maestra', 'sir', 'dame'
+]);
+
+const CREDENTIALS = new Set([
+    'phd', 'dma', 'dm', 'dmus', 'dmusa', 'edd', 'dme', 'dphil', 'mm', 'mmus', 'mme', 'mmed', 'mma', 'ma', 'mfa',
+    'ms', 'msc', 'med', 'mat', 'mba', 'mlis', 'bm', 'bmus', 'bme', 'ba', 'bfa', 'bs', 'bsc', 'ad', 'gd', 'abd',
+    'jd', 'md', 'lram', 'arcm', 'frco', 'nbct', 'mt-bc', 'cpa', 'rn'
+]);
+
+const SUFFIXES = new Set(['jr', 'sr', 'ii', 'iii', 'iv']);
+
+// Lowercase particles that start a multi-part surname (van Beethoven, de la Cruz)
+const SURNAME_PARTICLES = new Set([
+    'van', 'von', 'der', 'den', 'de', 'del', 'della', 'dela', 'la', 'le', 'di', 'da', 'du', 'dos', 'das',
+    'ter', 'ten', 'st', 'st.', 'bin', 'ibn', 'al', 'el', 'y', 'mac'
+]);
+
+// "Jane Doe, Professor of Music" is a title after the comma, not inverted order
+const TITLE_WORDS = /\b(of|and|professor|director|chair|lecturer|instructor|coordinator|emeritus|emerita|faculty|staff)\b/i;
+
+function tokenKey(token) {
+    return token.toLowerCase().replace(/[.,]/g, '');
+}
+
+function isCredential(token) {
+    return CREDENTIALS.has(tokenKey(token));
+}
+
+function isSuffix(token) {
+    return SUFFIXES.has(tokenKey(token));
+}
+
+// Trailing credential without a comma: "PhD", "DMA", "mfa", "Ph.D." but not a plain capitalized word,
+// which is more likely a surname ("Yo-Yo Ma", "Ad", "Mat")
+function isTrailingCredential(token) {
+    return isCredential(token) && !/^\p{Lu}\p{Ll}+$/u.test(token);
+}
+
+// "Doe", "Garcia-Lopez", "van Beethoven", "de la Cruz": what may stand before the comma of "Last, First"
+function isSurnameOnly(segment) {
+    const tokens = segment.split(' ').filter(Boolean);
+    return tokens.length > 0 && tokens.slice(0, -1).every(token => SURNAME_PARTICLES.has(token.toLowerCase()));
+}
+
+export function stripDiacritics(text) {
+    return (text || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+}
+
+export function parseName(raw) {
+    const parsed = {
+        honorific: '',
+        firstName: '',
+        middleName: '',
+        lastName: '',
+        suffix: '',
+        credentials: []
+    };
+    if (!raw) return parsed;
+
+    const text = raw
+        .replace(/\s*\([^)]*\)\s*/g, ' ')              // nicknames and notes in parentheses
+        .replace(/\s*["“”][^"“”]*["“”]\s*/g, ' ')      // quoted nicknames
+        .replace(/\s+/g, ' ')
+        .replace(/^[\s,;–—-]+|[\s,;–—-]+$/g, '')
+        .trim();
+
+    // Split on commas: "Smith, Jane A., DMA" -> ["Smith", "Jane A.", "DMA"]
+    const segments = text.split(',').map(segment => segment.trim()).filter(Boolean);
+    let nameSegment = segments.shift() || '';
+    let inverted = null;
+
+    for (const segment of segments) {
+        const tokens = segment.split(' ');
+        if (tokens.every(token => isCredential(token) || isSuffix(token))) {
+            for (const token of tokens) {
+                if (isSuffix(token) && !parsed.suffix) parsed.suffix = token.replace(/\.$/, '');
+                else if (isCredential(token)) parsed.credentials.push(token);
+            }
+        } else if (!inverted && !TITLE_WORDS.test(segment) && isSurnameOnly(nameSegment)) {
+            // After a lone surname, a non-credential segment holds the given names;
+            // "Jane Doe, Piano" is a name followed by an area
+            inverted = segment;
+        }
+    }
+
+    let tokens = nameSegment.split(' ').filter(Boolean);
+    let surnameTokens = null;
+    if (inverted) {
+        surnameTokens = tokens;
+        tokens = inverted.split(' ').filter(Boolean);
+    }
+
+    // Leading honorifics (only whole tokens, so "Professorson" survives)
+    while (tokens.length > 1 && HONORIFICS.has(tokenKey(tokens[0]))) {
+        const honorific = tokens.shift();
+        if (!parsed.honorific) parsed.honorific = honorific;
+    }
+
+    // Trailing suffixes and credentials written without commas: "Jane Doe Jr. PhD"
+    const trailing = surnameTokens || tokens;
+    while (trailing.length > (surnameTokens ? 1 : 2)) {
+        const last = trailing[trailing.length - 1];
+        if (isSuffix(last)) {
+            parsed.suffix = parsed.suffix || trailing.pop().replace(/\.$/, '');
+        } else if (isTrailingCredential(last)) {
+            parsed.credentials.unshift(trailing.pop());
+        } else {
+            break;
+        }
+    }
+
+    if (surnameTokens) {
+        parsed.firstName = tokens[0] || '';
+        parsed.middleName = tokens.slice(1).join(' ');
+        parsed.lastName = surnameTokens.join(' ');
+        return parsed;
+    }
+
+    if (tokens.length === 1) {
+        parsed.lastName = tokens[0];
+        return parsed;
+    }
+
+    // The surname starts at the first particle after the given name, else it is the last token
+    let surnameStart = tokens.length - 1;
+    for (let i = 1; i < tokens.length - 1; i++) {
+        if (SURNAME_PARTICLES.has(tokens[i].toLowerCase()) && tokens[i] === tokens[i].toLowerCase()) {
+            surnameStart = i;
+            break;
+        }
+    }
+
+    parsed.firstName = tokens[0];
+    parsed.middleName = tokens.slice(1, surnameStart).join(' ');
+    parsed.lastName = tokens.slice(surnameStart).join(' ');
+    return parsed;
+}
+
+export function formatName(parsed) {
+    return [parsed.firstName, parsed.middleName, parsed.lastName].filter(Boolean).join(' ');
+}
+
+// ASCII, lowercase name parts for matching against email local parts and URLs
+export function nameMatchParts(name) {
+    const parsed = typeof name === 'string' ? parseName(name) : name;
+    const ascii = (part) => stripDiacritics(part).toLowerCase().replace(/[^a-z\s-]/g, '');
+
+    const first = ascii(parsed.firstName).replace(/[\s-]/g, '');
+    const middle = ascii(parsed.middleName).split(/\s+/)[0] || '';
+    const lastFull = ascii(parsed.lastName);
+    const lastTokens = lastFull.split(/[\s-]+/).filter(Boolean);
+
+    return {
+        first,
+        middle,
+        last: lastFull.replace(/[\s-]/g, ''),
+        // "van beethoven" -> vanbeethoven, beethoven; "garcia-lopez" -> garcialopez, garcia, lopez
+        lastVariants: [...new Set([lastFull.replace(/[\s-]/g, ''), lastFull.replace(/\s/g, ''), ...lastTokens.filter(token =>
+            !SURNAME_PARTICLES.has(token))])].filter(Boolean)
+    };
+}
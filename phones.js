@@ -0,0 +1,74 @@
+// Phone normalization: E.164 output, separate extensions, campus short-dial expansion
+
+const EXTENSION_PATTERN = /\s*(?:,|;)?\s*(?:ext\.?|extension|x|#)\s*:?\s*(\d{1,6})\s*$/i;
+const NOT_A_PHONE = /\b(room|rm|suite|ste|hall|bldg|building|floor|fax|office hours|box)\b/i;
+const NANP_PATTERN = /(?:\+?1[\s.-]?)?\(?([2-9]\d{2})\)?[\s.-]?([2-9]\d{2})[\s.-]?(\d{4})/g;
+
+function isValidNanp(digits) {
+    return /^[2-9]\d{2}[2-9]\d{6}$/.test(digits);
+}
+
+export function normalizePhone(raw, { mainNumber = '' } = {}) {
+    const result = { phone: '', phoneExtension: '', phoneRaw: (raw || '').trim() };
+
+    // "Phone: 785-864-1234 Fax: 785-864-5678" and "P: ... | F: ..." keep the number before the fax label
+    const beforeFax = result.phoneRaw.split(/\bfax\b|\bf\s*:/i)[0].replace(/[\s|;,/]+$/, '');
+    if (!beforeFax || NOT_A_PHONE.test(beforeFax)) return result;
+
+    // Longer labels first, so "Telephone:" is not read as "Tel" + "ephone:"
+    let text = beforeFax
+        .replace(/^tel:/i, '')
+        .replace(/^(telephone|office phone|phone|office|tel|ph|p|t)\s*[:.]?\s*/i, '');
+
+    const extensionMatch = text.match(EXTENSION_PATTERN);
+    if (extensionMatch) text = text.replace(EXTENSION_PATTERN, '');
+
+    // Anything left besides digits and separators is not a phone number
+    if (/[^\d\s().+\/-]/.test(text)) return result;
+
+    const international = text.trim().startsWith('+');
+    let digits = text.replace(/\D/g, '');
+    const extension = extensionMatch ? extensionMatch[1] : '';
+
+    // Numbers outside North America are kept as dialled
+    if (international && !digits.startsWith('1')) {
+        if (digits.length >= 8 && digits.length <= 15) {
+            return { ...result, phone: `+${digits}`, phoneExtension: extension };
+        }
+        return result;
+    }
+
+    if (digits.length === 11 && digits.startsWith('1')) digits = digits.slice(1);
+
+    // Campus short dial: "4-1234" or "41234" share the department's area code and exchange prefix;
+    // seven digits share its area code
+    const main = (mainNumber || '').replace(/\D/g, '').replace(/^1(?=\d{10}$)/, '');
+    if ((digits.length === 4 || digits.length === 5 || digits.length === 7) && main.length === 10) {
+        digits = main.slice(0, 10 - digits.length) + digits;
+    }
+
+    if (digits.length === 10 && isValidNanp(digits)) {
+        return { ...result, phone: `+1${digits}`, phoneExtension: extension };
+    }
+    return result;
+}
+
+// The department's main number is the most frequent area code + exchange on the page
+export function inferMainNumber(text) {
+    const counts = new Map();
+    for (const match of (text || '').matchAll(NANP_PATTERN)) {
+        const digits = `${match[1]}${match[2]}${match[3]}`;
+        if (!isValidNanp(digits)) continue;
+
+        const prefix = digits.slice(0, 6);
+        const entry = counts.get(prefix) || { count: 0, sample: digits };
+        entry.count++;
+        counts.set(prefix, entry);
+    }
+
+    let best = null;
+    for (const entry of counts.values()) {
+        if (!best || entry.count > best.count) best = entry;
+    }
+    return best ? best.sample : '';
+}
@@ -0,0 +1,167 @@
+// Declarative site recipes: container + per-field selectors instead of per-school code
+// See README.md ("Site recipes") for the recipe format.
+
+import { readdir, readFile } from 'node:fs/promises';
+import { STRUCTURED_METHOD } from './structured.js';
+import { HEURISTIC_METHOD } from './heuristic.js';
+
+// Extraction methods implemented in code rather than as recipes
+const BUILT_IN_METHODS = [STRUCTURED_METHOD, HEURISTIC_METHOD];
+
+const BUNDLED_RECIPES_DIR = new URL('./recipes/', import.meta.url);
+const RECORD_FIELDS = ['name', 'title', 'email', 'phone', 'profileLink'];
+
+export async function loadRecipes(inputRecipes = []) {
+    const bundled = [];
+    const files = (await readdir(BUNDLED_RECIPES_DIR)).filter(file => file.endsWith('.json')).sort();
+
+    for (const file of files) {
+        const recipe = JSON.parse(await readFile(new URL(file, BUNDLED_RECIPES_DIR), 'utf8'));
+        bundled.push(validateRecipe(recipe, `recipes/${file}`));
+    }
+
+    const custom = inputRecipes.map((recipe, index) => validateRecipe(recipe, `input recipes[${index}]`));
+
+    // Input recipes override bundled ones with the same name and run before them
+    const byName = new Map();
+    for (const recipe of [...bundled, ...custom.map(recipe => ({ priority: 0, ...recipe }))]) {
+        byName.set(recipe.name, recipe);
+    }
+
+    return Array.from(byName.values()).sort((a, b) => (a.priority ?? 50) - (b.priority ?? 50));
+}
+
+export function validateRecipe(recipe, origin = 'recipe') {
+    const problems = [];
+
+    if (!recipe || typeof recipe !== 'object') {
+        throw new Error(`Invalid recipe in ${origin}: expected an object`);
+    }
+    if (!recipe.name || typeof recipe.name !== 'string') problems.push('missing "name"');
+    if (BUILT_IN_METHODS.includes(recipe.name)) problems.push(`"${recipe.name}" is a built-in extraction method`);
+    if (!recipe.container || typeof recipe.container !== 'string') problems.push('missing "container" selector');
+    if (!recipe.fields || !recipe.fields.name) problems.push('missing "fields.name"');
+
+    for (const field of Object.keys(recipe.fields || {})) {
+        if (!RECORD_FIELDS.includes(field)) problems.push(`unknown field "${field}"`);
+    }
+
+    for (const pattern of recipe.match?.urlPatterns || []) {
+        try {
+            new RegExp(pattern);
+        } catch (error) {
+            problems.push(`bad urlPattern "${pattern}": ${error.message}`);
+        }
+    }
+
+    if (problems.length > 0) {
+        throw new Error(`Invalid recipe "${recipe.name || '?'}" in ${origin}: ${problems.join(', ')}`);
+    }
+    return recipe;
+}
+
+export function findMatchingRecipe(url, recipes) {
+    const { hostname } = new URL(url);
+    const host = hostname.toLowerCase().replace(/^www\./, '');
+
+    return recipes.find(recipe => {
+        const { domains = [], urlPatterns = [] } = recipe.match || {};
+
+        const domainMatch = domains.some(domain => {
+            const wanted = domain.toLowerCase().replace(/^www\./, '');
+            return host === wanted || host.endsWith(`.${wanted}`);
+        });
+        const urlMatch = urlPatterns.some(pattern => new RegExp(pattern, 'i').test(url));
+
+        return domainMatch || urlMatch;
+    }) || null;
+}
+
+// A textIncludes entry that stands for the discipline profile's titleWords
+export const TITLE_WORDS_PLACEHOLDER = '$titleWords';
+
+// Expands the titleWords placeholder, title-cased to match how titles are written ("Costume Designer")
+export function resolveRecipe(recipe, { titleWords = [] } = {}) {
+    const titleCased = titleWords.map(word => word.replace(/\b\w/g, letter => letter.toUpperCase()));
+    const resolveSpec = (spec) => (spec.textIncludes?.includes(TITLE_WORDS_PLACEHOLDER)
+        ? { ...spec, textIncludes: spec.textIncludes.flatMap(word => (word === TITLE_WORDS_PLACEHOLDER ? titleCased : [word])) }
+        : spec);
+
+    const fields = Object.fromEntries(Object.entries(recipe.fields).map(([field, fieldSpec]) =>
+        [field, Array.isArray(fieldSpec) ? fieldSpec.map(resolveSpec) : resolveSpec(fieldSpec)]));
+    return { ...recipe, fields };
+}
+
+// Runs inside the browser via page.evaluate, so it must stay self-contained
+export function runRecipeInPage(recipe) {
+    const readValue = (element, spec) => {
+        const attribute = spec.attribute || 'text';
+        if (attribute === 'text') return element.textContent.trim();
+        if (attribute === 'href' || attribute === 'src') return element[attribute] || '';
+        return element.getAttribute(attribute) || '';
+    };
+
+    const postProcess = (value, spec) => {
+        let result = value;
+        if (spec.regex) {
+            const match = result.match(new RegExp(spec.regex, 'i'));
+            if (!match) return '';
+            result = match[spec.group ?? (match.length > 1 ? 1 : 0)] || '';
+        }
+        if (spec.replace) {
+            const [pattern, replacement = ''] = spec.replace;
+            result = result.replace(new RegExp(pattern, 'gi'), replacement);
+        }
+        result = result.trim();
+        if (spec.minLength && result.length < spec.minLength) return '';
+        return result;
+    };
+
+    const readSpec = (container, spec) => {
+        const selectors = Array.isArray(spec.selector) ? spec.selector : [spec.selector];
+
+        for (const selector of selectors) {
+            let candidates = selector === 'self' ? [container] : Array.from(container.querySelectorAll(selector));
+            if (spec.index !== undefined) candidates = candidates.slice(spec.index, spec.index + 1);
+
+            for (const element of candidates) {
+                if (spec.textIncludes && !spec.textIncludes.some(word => element.textContent.includes(word))) {
+                    continue;
+                }
+                const value = postProcess(readValue(element, spec), spec);
+                if (value) return value;
+            }
+        }
+        return '';
+    };
+
+    const readField = (container, fieldSpec) => {
+        const specs = Array.isArray(fieldSpec) ? fieldSpec : [fieldSpec];
+        for (const spec of specs) {
+            const value = readSpec(container, spec);
+            if (value) return value;
+        }
+        return '';
+    };
+
+    const containers = Array.from(document.querySelectorAll(recipe.container));
+
+    return containers.map((container, containerIndex) => {
+        if (recipe.require && container.querySelectorAll(recipe.require.selector).length < (recipe.require.min ?? 1)) {
+            return null;
+        }
+
+        const person = { name: '', title: '', email: '', phone: '', profileLink: '', containerIndex };
+        for (const [field, fieldSpec] of Object.entries(recipe.fields)) {
+            person[field] = readField(container, fieldSpec);
+        }
+        return person;
+    }).filter(person => {
+        if (!person || !person.name) return false;
+
+        for (const [field, words] of Object.entries(recipe.exclude || {})) {
+            if (words.some(word => (person[field] || '').includes(word))) return false;
+        }
+        return true;
+    });
+}
@@ -0,0 +1,192 @@
+// Run quality report: per start URL extraction stats, errors and pass/fail against thresholds
+
+export const DEFAULT_QUALITY_THRESHOLDS = {
+    minRecords: 1, // Fewer records than this fails the URL
+    minEmailCoverage: 0, // Share of records with an email (0-1)
+    minTitleCoverage: 0, // Share of records with at least one title (0-1)
+    maxFailedUrls: 0 // More failed URLs than this fails the run
+};
+
+const CONFIDENCE_BUCKETS = [
+    { label: '0.9-1.0', min: 0.9 },
+    { label: '0.75-0.9', min: 0.75 },
+    { label: '0.5-0.75', min: 0.5 },
+    { label: '0.0-0.5', min: 0 }
+];
+
+function share(count, total) {
+    return total > 0 ? Math.round((count / total) * 1000) / 1000 : 0;
+}
+
+function emptyEntry(startUrl) {
+    return {
+        startUrl,
+        extractionMethods: {},
+        recordCount: 0,
+        withEmail: 0,
+        withTitle: 0,
+        withPhone: 0,
+        emailConfidence: Object.fromEntries([...CONFIDENCE_BUCKETS.map(bucket => [bucket.label, 0]), ['none', 0]]),
+        pagesProcessed: 0,
+        profilePagesProcessed: 0,
+        retries: 0,
+        errors: [],
+        discovery: null,
+        institutions: new Set(),
+        truncated: false
+    };
+}
+
+export class RunReport {
+    constructor(thresholds = {}) {
+        this.thresholds = { ...DEFAULT_QUALITY_THRESHOLDS, ...thresholds };
+        this.entries = new Map();
+        this.startedAt = new Date().toISOString();
+    }
+
+    entry(startUrl) {
+        if (!this.entries.has(startUrl)) this.entries.set(startUrl, emptyEntry(startUrl));
+        return this.entries.get(startUrl);
+    }
+
+    registerStartUrls(urls) {
+        for (const url of urls) this.entry(url);
+    }
+
+    recordPage(startUrl, { label = 'DIRECTORY' } = {}) {
+        const entry = this.entry(startUrl);
+        if (label === 'PROFILE') {
+            entry.profilePagesProcessed++;
+        } else {
+            entry.pagesProcessed++;
+        }
+    }
+
+    recordInstitution(startUrl, institution) {
+        if (institution) this.entry(startUrl).institutions.add(institution);
+    }
+
+    // maxPages stopped the walk before the directory ran out
+    recordTruncated(startUrl) {
+        this.entry(startUrl).truncated = true;
+    }
+
+    recordRecords(startUrl, records) {
+        const entry = this.entry(startUrl);
+        for (const person of records) {
+            this.recordInstitution(startUrl, person.university);
+            const method = person.extractionMethod || 'unknown';
+            entry.recordCount++;
+            entry.extractionMethods[method] = (entry.extractionMethods[method] || 0) + 1;
+            this.count(entry, person);
+        }
+    }
+
+    // A profile page can fill in email, title or phone of a record already counted
+    recordProfileMerge(startUrl, before, after) {
+        const entry = this.entry(startUrl);
+        this.count(entry, before, -1);
+        this.count(entry, after);
+    }
+
+    count(entry, person, step = 1) {
+        if (person.email) entry.withEmail += step;
+        if (person.titles?.length) entry.withTitle += step;
+        if (person.phone) entry.withPhone += step;
+
+        const bucket = person.email
+            ? CONFIDENCE_BUCKETS.find(candidate => (person.emailConfidence ?? 0) >= candidate.min).label
+            : 'none';
+        entry.emailConfidence[bucket] += step;
+    }
+
+    // final: the request gave up (or the error was handled without a retry)
+    recordError(startUrl, { url, label = 'DIRECTORY', message, retryCount = 0, final = false }) {
+        const entry = this.entry(startUrl);
+        entry.errors.push({ url, label, message, retryCount, final, at: new Date().toISOString() });
+        if (!final) entry.retries++;
+    }
+
+    recordDiscovery(startUrl, { chosen = [], candidates = [] }) {
+        const summarize = candidate => ({ url: candidate.url, text: candidate.text, score: candidate.score, reasons: candidate.reasons });
+        this.entry(startUrl).discovery = { chosen: chosen.map(summarize), candidates: candidates.map(summarize) };
+    }
+
+    evaluate(entry) {
+        const { minRecords, minEmailCoverage, minTitleCoverage } = this.thresholds;
+        const reasons = [];
+
+        const fatal = entry.errors.filter(error => error.final && error.label !== 'PROFILE');
+        if (fatal.length > 0) reasons.push(`request failed: ${fatal[fatal.length - 1].message}`);
+        if (entry.discovery && entry.discovery.chosen.length === 0) reasons.push('discovery found no faculty directory');
+        if (entry.recordCount < minRecords) reasons.push(`${entry.recordCount} records < minRecords ${minRecords}`);
+
+        const emailCoverage = share(entry.withEmail, entry.recordCount);
+        const titleCoverage = share(entry.withTitle, entry.recordCount);
+        if (entry.recordCount > 0 && emailCoverage < minEmailCoverage) {
+            reasons.push(`email coverage ${emailCoverage} < minEmailCoverage ${minEmailCoverage}`);
+        }
+        if (entry.recordCount > 0 && titleCoverage < minTitleCoverage) {
+            reasons.push(`title coverage ${titleCoverage} < minTitleCoverage ${minTitleCoverage}`);
+        }
+
+        const methods = Object.entries(entry.extractionMethods).sort((a, b) => b[1] - a[1]);
+        return {
+            startUrl: entry.startUrl,
+            status: reasons.length > 0 ? 'failed' : 'passed',
+            failureReasons: reasons,
+            extractionMethod: methods[0]?.[0] || null,
+            extractionMethods: entry.extractionMethods,
+            recordCount: entry.recordCount,
+            coverage: {
+                email: emailCoverage,
+                title: titleCoverage,
+                phone: share(entry.withPhone, entry.recordCount)
+            },
+            emailConfidenceHistogram: entry.emailConfidence,
+            pagesProcessed: entry.pagesProcessed,
+            profilePagesProcessed: entry.profilePagesProcessed,
+            retries: entry.retries,
+            errors: entry.errors,
+            institutions: Array.from(entry.institutions),
+            truncated: entry.truncated,
+            ...(entry.discovery ? { discovery: entry.discovery } : {})
+        };
+    }
+
+    // Institutions whose directory was not fully seen (a failed or truncated start URL); null when a
+    // failed start URL never got far enough to tell which institution it belongs to
+    incompleteInstitutions() {
+        const institutions = new Set();
+        for (const entry of this.entries.values()) {
+            if (!entry.truncated && this.evaluate(entry).status === 'passed') continue;
+            if (entry.institutions.size === 0) return null;
+            entry.institutions.forEach(institution => institutions.add(institution));
+        }
+        return Array.from(institutions);
+    }
+
+    build(extra = {}) {
+        const urls = Array.from(this.entries.values()).map(entry => this.evaluate(entry));
+        const failedUrls = urls.filter(entry => entry.status === 'failed');
+        const failed = failedUrls.length > this.thresholds.maxFailedUrls;
+
+        return {
+            status: failed ? 'failed' : 'passed',
+            failureReason: failed
+                ? `${failedUrls.length} of ${urls.length} start URLs failed (maxFailedUrls ${this.thresholds.maxFailedUrls})`
+                : null,
+            startedAt: this.startedAt,
+            finishedAt: new Date().toISOString(),
+            thresholds: this.thresholds,
+            totals: {
+                startUrls: urls.length,
+                failedUrls: failedUrls.length,
+                records: urls.reduce((sum, entry) => sum + entry.recordCount, 0),
+                errors: urls.reduce((sum, entry) => sum + entry.errors.length, 0)
+            },
+            ...extra,
+            urls
+        };
+    }
+}
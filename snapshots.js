@@ -0,0 +1,220 @@
+// Record and replay: save rendered pages and network responses, then rerun extraction offline
+
+import { createHash } from 'node:crypto';
+import { Actor } from 'apify';
+import { log } from 'crawlee';
+
+export const DEFAULT_SNAPSHOT_STORE = 'faculty-page-captures';
+
+const INDEX_KEY = 'INDEX';
+const CAPTURED_RESOURCE_TYPES = new Set(['document', 'xhr', 'fetch', 'script', 'stylesheet']);
+const MAX_RESPONSE_BYTES = 2 * 1024 * 1024;
+const MAX_RECORD_BYTES = 8 * 1024 * 1024;
+// Records (up to MAX_RECORD_BYTES each) kept in memory during replay
+const MAX_CACHED_RECORDS = 4;
+
+function normalizeUrl(url) {
+    return url.split('#')[0];
+}
+
+function captureKey(url) {
+    return `PAGE-${createHash('sha1').update(normalizeUrl(url)).digest('hex')}`;
+}
+
+// Playwright hands us decoded bodies, so encoding and length headers no longer apply
+function storableHeaders(headers) {
+    const kept = { ...headers };
+    for (const name of ['content-encoding', 'content-length', 'transfer-encoding', 'set-cookie']) delete kept[name];
+    return kept;
+}
+
+export class PageRecorder {
+    constructor(storeName = DEFAULT_SNAPSHOT_STORE) {
+        this.storeName = storeName;
+        this.store = null;
+        this.index = null;
+        this.sessions = new WeakMap();
+    }
+
+    async open() {
+        if (this.store) return;
+        this.store = await Actor.openKeyValueStore(this.storeName);
+        this.index = await this.store.getValue(INDEX_KEY) || { pages: {} };
+    }
+
+    // preNavigationHook: start collecting responses for this page
+    attach(page, request) {
+        const session = {
+            requestUrl: request.url,
+            label: request.label || 'DIRECTORY',
+            // Start requests are replayed as such; enqueued ones are re-enqueued by their handlers
+            start: !request.userData.startUrl || request.userData.startUrl === request.url,
+            pages: [],
+            responses: [],
+            pending: []
+        };
+        this.sessions.set(page, session);
+
+        page.on('response', (response) => {
+            const resourceType = response.request().resourceType();
+            if (!CAPTURED_RESOURCE_TYPES.has(resourceType)) return;
+
+            session.pending.push(response.body().then((body) => {
+                if (body.length > MAX_RESPONSE_BYTES) return;
+                session.responses.push({
+                    url: normalizeUrl(response.url()),
+                    method: response.request().method(),
+                    status: response.status(),
+                    headers: storableHeaders(response.headers()),
+                    body: body.toString('base64')
+                });
+            }).catch(() => {}));
+        });
+    }
+
+    // Rendered HTML of whatever document the page currently shows (first load, pager pages, ...)
+    async snapshot(page) {
+        const session = this.sessions.get(page);
+        if (!session) return;
+
+        const url = normalizeUrl(page.url());
+        if (session.pages.some(entry => entry.url === url)) return;
+        session.pages.push({ url, html: await page.content() });
+    }
+
+    async flush(page) {
+        const session = this.sessions.get(page);
+        if (!session) return;
+        this.sessions.delete(page);
+
+        await this.open();
+        await Promise.all(session.pending);
+
+        // Keep the record under the key-value store size limit by dropping the largest responses first
+        const record = {
+            requestUrl: session.requestUrl,
+            label: session.label,
+            start: session.start,
+            capturedAt: new Date().toISOString(),
+            pages: session.pages,
+            responses: session.responses.sort((a, b) => a.body.length - b.body.length)
+        };
+        while (record.responses.length > 0 && Buffer.byteLength(JSON.stringify(record)) > MAX_RECORD_BYTES) {
+            record.responses.pop();
+        }
+
+        const key = captureKey(session.requestUrl);
+        await this.store.setValue(key, record);
+
+        const indexEntry = { key, label: session.label, start: session.start, requestUrl: session.requestUrl, capturedAt: record.capturedAt };
+        for (const entry of session.pages) {
+            this.index.pages[entry.url] = indexEntry;
+        }
+        // Redirected requests (http → https, added trailing slash) are replayed as a redirect to the first page
+        const requestUrl = normalizeUrl(session.requestUrl);
+        if (session.pages.length > 0 && !session.pages.some(entry => entry.url === requestUrl)) {
+            this.index.pages[requestUrl] = { ...indexEntry, redirectTo: session.pages[0].url };
+        }
+        await this.store.setValue(INDEX_KEY, this.index);
+
+        log.info(`Captured ${session.pages.length} pages and ${record.responses.length} responses for ${session.requestUrl}`);
+    }
+}
+
+export class PageReplayer {
+    constructor(storeName = DEFAULT_SNAPSHOT_STORE) {
+        this.storeName = storeName;
+        this.store = null;
+        this.index = { pages: {} };
+        // Least recently used first
+        this.records = new Map();
+        // Record keys each page navigated to, so its subresources come from its own capture
+        this.pageKeys = new WeakMap();
+    }
+
+    async open() {
+        this.store = await Actor.openKeyValueStore(this.storeName);
+        this.index = await this.store.getValue(INDEX_KEY) || { pages: {} };
+        log.info(`Replaying from ${this.storeName}: ${Object.keys(this.index.pages).length} captured pages`);
+    }
+
+    // Start requests to replay; profile and discovered pages are re-enqueued by the handlers as usual
+    startRequests(startUrls = []) {
+        const wanted = new Set(startUrls.map(entry => normalizeUrl(typeof entry === 'string' ? entry : entry.url)));
+        const requests = new Map();
+
+        for (const entry of Object.values(this.index.pages)) {
+            // Captures made before start requests were marked: directories were always start requests
+            if (!(entry.start ?? entry.label === 'DIRECTORY')) continue;
+            if (wanted.size > 0 && !wanted.has(normalizeUrl(entry.requestUrl))) continue;
+            requests.set(entry.requestUrl, {
+                url: entry.requestUrl,
+                ...(entry.label !== 'DIRECTORY' ? { label: entry.label } : {})
+            });
+        }
+        return [...requests.values()];
+    }
+
+    async getRecord(key) {
+        let record = this.records.get(key);
+        if (record === undefined) {
+            record = await this.store.getValue(key);
+        }
+        this.records.delete(key);
+        this.records.set(key, record);
+        while (this.records.size > MAX_CACHED_RECORDS) {
+            this.records.delete(this.records.keys().next().value);
+        }
+        return record;
+    }
+
+    async findResponse(page, url, method) {
+        const matches = (record) => record?.responses.find(candidate =>
+            candidate.url === normalizeUrl(url) && candidate.method === method);
+
+        for (const key of [...(this.pageKeys.get(page) || [])].reverse()) {
+            const response = matches(await this.getRecord(key));
+            if (response) return response;
+        }
+        // Shared scripts and stylesheets may only have been kept in another page's capture
+        for (const record of this.records.values()) {
+            const response = matches(record);
+            if (response) return response;
+        }
+        return null;
+    }
+
+    // preNavigationHook: serve every request from the capture, never from the network
+    async attach(page) {
+        await page.route('**/*', async (route) => {
+            const request = route.request();
+            const url = normalizeUrl(request.url());
+
+            if (request.isNavigationRequest() && request.frame() === page.mainFrame()) {
+                const entry = this.index.pages[url];
+                if (entry?.redirectTo) {
+                    return route.fulfill({ status: 301, headers: { location: entry.redirectTo }, body: '' });
+                }
+
+                const record = entry ? await this.getRecord(entry.key) : null;
+                const captured = record?.pages.find(candidate => candidate.url === url);
+                if (captured) {
+                    this.pageKeys.set(page, [...(this.pageKeys.get(page) || []), entry.key]);
+                    return route.fulfill({ status: 200, contentType: 'text/html; charset=utf-8', body: captured.html });
+                }
+                log.warning(`No capture for ${url}`);
+                return route.fulfill({ status: 404, contentType: 'text/plain', body: 'Not captured' });
+            }
+
+            const response = await this.findResponse(page, url, request.method());
+            if (response) {
+                return route.fulfill({
+                    status: response.status,
+                    headers: response.headers,
+                    body: Buffer.from(response.body, 'base64')
+                });
+            }
+            return route.abort();
+        });
+    }
+}
@@ -0,0 +1,129 @@
+// Structured data: schema.org Person entries from JSON-LD and microdata, and hCard/h-card markup
+
+import { parseJsonLd, walkJsonLd } from './jsonld.js';
+
+export const STRUCTURED_METHOD = 'structured';
+
+// Nested works (articles, reviews) name their authors and editors; those are not directory entries
+const SKIPPED_KEYS = new Set(['author', 'creator', 'editor', 'publisher', 'copyrightHolder', 'reviewedBy']);
+
+// Person nodes anywhere in the JSON-LD graph (ItemList entries, employees, members, ...)
+export function findJsonLdPersons(scripts) {
+    const persons = [];
+    walkJsonLd(parseJsonLd(scripts), (node) => {
+        if ([].concat(node['@type'] || []).some(type => /(^|[/#])Person$/.test(String(type)))) persons.push(node);
+    }, { follow: key => !SKIPPED_KEYS.has(key) });
+    return persons;
+}
+
+// Runs inside the browser via page.evaluate, so it must stay self-contained.
+// jsonLdPersons: the page's JSON-LD Person nodes, from findJsonLdPersons.
+// Returns raw records in the recipe runner's shape plus the markup each came from.
+export function extractStructuredPeopleInPage({ jsonLdPersons = [] } = {}) {
+    const clean = (value) => String(value ?? '').replace(/\s+/g, ' ').trim();
+    const first = (value) => (Array.isArray(value) ? value[0] : value);
+    const toList = (value) => (Array.isArray(value) ? value : value === undefined || value === null ? [] : [value]);
+    const absolute = (value) => {
+        try {
+            return value ? new URL(value, document.baseURI).href : '';
+        } catch (error) {
+            return '';
+        }
+    };
+    const stripMailto = (value) => clean(value).replace(/^mailto:/i, '').split('?')[0];
+    const stripTel = (value) => clean(value).replace(/^tel:/i, '');
+    const isPerson = (types) => toList(types).some(type => /(^|[/#])Person$/.test(String(type)));
+
+    const people = [];
+
+    // JSON-LD: Person nodes found by findJsonLdPersons
+    for (const node of jsonLdPersons) {
+        const name = clean(first(node.name)) || clean([first(node.givenName), first(node.familyName)].filter(Boolean).join(' '));
+        const titles = toList(node.jobTitle).map(title => clean(typeof title === 'object' ? title.name : title)).filter(Boolean);
+        const contact = first(node.contactPoint) || {};
+        people.push({
+            name,
+            titles,
+            title: titles[0] || '',
+            email: stripMailto(first(node.email) || contact.email),
+            phone: stripTel(first(node.telephone) || contact.telephone),
+            profileLink: absolute(first(node.url) || (typeof node['@id'] === 'string' && /^https?:/.test(node['@id']) ? node['@id'] : '')),
+            structuredSource: 'json-ld'
+        });
+    }
+
+    // Microdata: itemprops that belong to this item rather than to a nested itemscope
+    const itemValue = (element) => {
+        if (element.hasAttribute('content')) return element.getAttribute('content');
+        if (element.matches('a, link, area')) return element.getAttribute('href') || element.textContent;
+        if (element.matches('img, audio, video, source')) return element.getAttribute('src');
+        if (element.matches('time')) return element.getAttribute('datetime') || element.textContent;
+        return element.textContent;
+    };
+    for (const item of document.querySelectorAll('[itemscope][itemtype]')) {
+        if (!isPerson(item.getAttribute('itemtype').split(/\s+/))) continue;
+
+        const props = {};
+        for (const element of item.querySelectorAll('[itemprop]')) {
+            if (element.parentElement.closest('[itemscope]') !== item) continue;
+            for (const prop of element.getAttribute('itemprop').split(/\s+/)) {
+                (props[prop] = props[prop] || []).push(itemValue(element));
+            }
+        }
+
+        const name = clean(first(props.name)) || clean([first(props.givenName), first(props.familyName)].filter(Boolean).join(' '));
+        const titles = (props.jobTitle || []).map(clean).filter(Boolean);
+        const nameLink = item.querySelector('[itemprop="name"] a[href], a[itemprop="name"][href]');
+        people.push({
+            name,
+            titles,
+            title: titles[0] || '',
+            email: stripMailto(first(props.email)),
+            phone: stripTel(first(props.telephone)),
+            profileLink: absolute(first(props.url) || nameLink?.getAttribute('href')),
+            structuredSource: 'microdata'
+        });
+    }
+
+    // hCard (microformats 1) and h-card (microformats 2); organisation cards are skipped
+    for (const card of document.querySelectorAll('.vcard, .h-card')) {
+        const pick = (selector) => card.querySelector(selector);
+        const nameElement = pick('.fn, .p-name');
+        if (!nameElement || nameElement.classList.contains('org')) continue;
+
+        const emailElement = pick('.email, .u-email');
+        const telElement = pick('.tel, .p-tel');
+        const urlElement = pick('a.url, a.u-url, .fn a[href], .p-name a[href]');
+        const titles = Array.from(card.querySelectorAll('.title, .p-job-title, .role, .p-role'), element => clean(element.textContent)).filter(Boolean);
+        const telValue = telElement?.querySelector('.value') || telElement;
+
+        people.push({
+            name: clean(nameElement.textContent),
+            titles,
+            title: titles[0] || '',
+            email: stripMailto(emailElement?.getAttribute('href') || emailElement?.textContent),
+            phone: stripTel(telElement?.matches('a') ? telElement.getAttribute('href') : telValue?.textContent),
+            profileLink: absolute(urlElement?.getAttribute('href')),
+            structuredSource: card.classList.contains('h-card') ? 'h-card' : 'hcard'
+        });
+    }
+
+    // The same person is often described in more than one format; keep one entry, filling gaps
+    const byName = new Map();
+    for (const person of people) {
+        if (!person.name) continue;
+        const key = person.name.toLowerCase();
+        const existing = byName.get(key);
+        if (!existing) {
+            byName.set(key, person);
+            continue;
+        }
+        for (const field of ['title', 'email', 'phone', 'profileLink']) {
+            if (!existing[field] && person[field]) existing[field] = person[field];
+        }
+        for (const title of person.titles) {
+            if (!existing.titles.includes(title)) existing.titles.push(title);
+        }
+    }
+    return Array.from(byName.values());
+}
@@ -0,0 +1,87 @@
+// Title classification: academic rank, administrative roles, specialties and person type.
+// Ranks, generic roles and person types live here; discipline-specific roles and specialties
+// come from the discipline profile (disciplines.js).
+
+// Checked in order; the first matching rank wins, so modifiers like "Emeritus" beat the base rank
+export const RANKS = [
+    { id: 'emeritus', pattern: /\bemerit(us|a|i|ae)\b/i },
+    { id: 'adjunct', pattern: /\badjunct\b/i },
+    { id: 'visiting', pattern: /\bvisiting\b/i },
+    // Non-tenure tracks come before the tenure-track ranks: "Teaching Assistant Professor" is a teaching rank
+    { id: 'teaching-professor', pattern: /\bteaching\s+((assistant|associate)\s+)?professor\b/i },
+    { id: 'clinical-professor', pattern: /\bclinical\s+((assistant|associate)\s+)?professor\b/i },
+    { id: 'research-professor', pattern: /\bresearch\s+((assistant|associate)\s+)?professor\b/i },
+    { id: 'associate-professor', pattern: /\bassociate\s+professor\b/i },
+    { id: 'assistant-professor', pattern: /\bassistant\s+professor\b/i },
+    { id: 'full-professor', pattern: /\b(full\s+|distinguished\s+|university\s+|regents'?\s+)?professor\b/i },
+    { id: 'lecturer', pattern: /\blecturer\b/i },
+    { id: 'instructor', pattern: /\binstructor\b/i },
+    { id: 'artist-in-residence', pattern: /\bartist[\s-]in[\s-]residence\b/i }
+];
+
+export const ROLES = [
+    { id: 'dean', pattern: /\b(?<!associate\s|assistant\s)dean\b/i },
+    { id: 'associate-dean', pattern: /\b(associate|assistant)\s+dean\b/i },
+    { id: 'chair', pattern: /\b(?<!associate\s|vice\s)(chair|chairperson|head of (the )?(department|school))\b/i },
+    { id: 'associate-chair', pattern: /\b(associate|vice)\s+chair\b/i },
+    { id: 'area-head', pattern: /\b(area|division)\s+(head|chair|coordinator)\b|\bcoordinator\s+of\s+(?!(the\s+)?(student|admissions|operations|communications|development|events|facilities|marketing|finance|outreach|recruitment)\b)/i },
+    { id: 'director', pattern: /\bdirector\b/i },
+    { id: 'coordinator', pattern: /\bcoordinator\b/i }
+];
+
+// Academic leadership roles are held by faculty unless the title also reads as staff
+const FACULTY_ROLES = new Set(['dean', 'associate-dean', 'chair', 'associate-chair', 'area-head']);
+
+export const PERSON_TYPE_PATTERNS = {
+    // Student roles only: "Director of Student Services" is staff
+    student: /\b(graduate|teaching|research)\s+(assistant|associate)\b(?!\s+professor)|\b(GTA|GA|TA)\b|\b(doctoral|graduate|undergraduate|masters?'?|phd|dma)\s+(student|candidate|fellow)\b|\bstudent\s+(worker|assistant|employee|intern|teacher)\b/i,
+    staff: /\b(administrative|office|executive|program)\s+(assistant|associate|specialist)\b|\bmanager\b|\bsecretary\b|\breceptionist\b|\btechnician\b|\badvis(o|e)r\b|\blibrarian\b|\baccountant\b|\bspecialist\b|\bstaff\b|\bbusiness officer\b|\brecruit(er|ment)\b|\bwebmaster\b|\bstudent\s+(services|affairs|success|life|engagement)\b|\b(admissions|operations|communications|development|events|facilities|marketing|finance)\b/i,
+    faculty: /\bfaculty\b|\bartist[\s-]in[\s-]residence\b|\bartist faculty\b/i
+};
+
+// Discipline-neutral vocabulary; profiles extend it with their own roles and specialties
+export const DEFAULT_TITLE_VOCABULARY = {
+    ranks: RANKS,
+    roles: ROLES,
+    specialties: [],
+    personTypes: PERSON_TYPE_PATTERNS
+};
+
+export function classifyTitles(titles = [], vocabulary = DEFAULT_TITLE_VOCABULARY) {
+    const text = titles.join(' | ');
+
+    const rankEntry = vocabulary.ranks.find(rank => rank.pattern.test(text));
+    const rank = rankEntry ? rankEntry.id : null;
+
+    const matchedRoles = vocabulary.roles.filter(role => role.pattern.test(text)).map(role => role.id);
+    // A specific director role ("director-of-bands", "artistic-director") makes the generic one redundant
+    const roles = matchedRoles.some(role => role !== 'director' && role.includes('director'))
+        ? matchedRoles.filter(role => role !== 'director')
+        : matchedRoles;
+
+    const specialties = [];
+    for (const specialty of vocabulary.specialties) {
+        if (!specialty.pattern.test(text)) continue;
+        if (!specialties.includes(specialty.id)) specialties.push(specialty.id);
+        if (specialty.family && !specialties.includes(specialty.family)) specialties.push(specialty.family);
+    }
+
+    return {
+        rank,
+        roles,
+        specialties,
+        personType: classifyPersonType(text, rank, roles, vocabulary.personTypes)
+    };
+}
+
+function classifyPersonType(text, rank, roles, patterns) {
+    if (!text.trim()) return 'unknown';
+
+    // Graduate assistants are students even when the title mentions "Instructor"
+    if (patterns.student.test(text) && !/\bprofessor\b/i.test(text)) return 'student';
+    if (rank) return 'faculty';
+    if (patterns.faculty.test(text)) return 'faculty';
+    if (patterns.staff.test(text)) return 'staff';
+    if (roles.some(role => FACULTY_ROLES.has(role))) return 'faculty';
+    return 'unknown';
+}